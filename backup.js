@@ -1,30 +1,12 @@
 // --- 1. REGISTRIES ---
+// Aggregates (sum, count, ..., string_agg, median, stddev, mode) are shared with chatgpt.js
+const { sqlAggregates, aggregateNames } = require('./evaluator');
+
 const sqlFunctions = {
     "upper": (args) => String(args[0] ?? "").toUpperCase(),
     "lower": (args) => String(args[0] ?? "").toLowerCase(),
-    // Updated Aggregates to be Null-Aware
-    "sum": (values) => {
-        const valid = values.filter(v => v !== null && v !== "NULL" && v !== undefined);
-        return valid.reduce((a, b) => a + (Number(b) || 0), 0);
-    },
-    "count": (values) => {
-        // Standard SQL COUNT(column) ignores NULLs
-        return values.filter(v => v !== null && v !== "NULL" && v !== undefined).length;
-    },
-    "avg": (values) => {
-        const valid = values.filter(v => v !== null && v !== "NULL" && v !== undefined);
-        return valid.length ? (valid.reduce((a, b) => a + (Number(b) || 0), 0) / valid.length) : 0;
-    },
-    "min": (values) => {
-        const valid = values.filter(v => v !== null && v !== "NULL" && v !== undefined).map(Number);
-        return valid.length ? Math.min(...valid) : "NULL";
-    },
-    "max": (values) => {
-        const valid = values.filter(v => v !== null && v !== "NULL" && v !== undefined).map(Number);
-        return valid.length ? Math.max(...valid) : "NULL";
-    },
-    "coalesce": (args) => {    // Return the first argument that isn't NULL or empty
-        return args.find(v => v !== null && v !== "NULL" && v !== undefined && v !== "") ?? "NULL";
+    "coalesce": (args) => {    // Return the first argument that isn't NULL
+        return args.find(v => v !== null && v !== undefined) ?? null;
     }
 };
 function splitArgs(argsStr) {
@@ -70,6 +52,8 @@ function getSelectTokensFromPart(expr) {
     return result;
 }
 
+const aggregatePattern = new RegExp(`\\b(${[...aggregateNames].join('|')})\\((.*)\\)`, 'i');
+
 function findTopLevelClause(sqlLower, keyword) {
     let depth = 0;
     for (let i = 0; i < sqlLower.length; i++) {
@@ -121,8 +105,9 @@ function parseSQL(sql) {
             if (oMatch) internalOrder = oMatch[1].trim();
         }
 
-        // Aggregate Function Detection
-        const aggMatch = token.expr.match(/(sum|count|avg|min|max)\((.*)\)/i);
+        // Aggregate Function Detection: string_agg(name, ', ') -> column "name", extra args [", "]
+        const aggMatch = token.expr.match(aggregatePattern);
+        const aggArgs = aggMatch ? splitArgs(aggMatch[2]) : [];
 
         // RETURN ONLY column-specific data here
         return {
@@ -131,9 +116,10 @@ function parseSQL(sql) {
             windowType: funcType,
             windowOrder: internalOrder,
             partitionBy: partitionBy,
-            isAggregate: !!aggMatch,
+            isAggregate: !!aggMatch && !windowMatch,
             aggFunc: aggMatch ? aggMatch[1].toLowerCase() : null,
-            aggColumn: aggMatch ? aggMatch[2].trim() : null
+            aggColumn: aggMatch ? aggArgs[0] : null,
+            aggExtra: aggArgs.slice(1).map(a => a.replace(/^['"]|['"]$/g, ''))
         };
     });
 
@@ -253,7 +239,32 @@ function executeQuery(sql, rootData) {
     // --- 2. WHERE FILTERING ---
     rows = rows.filter(r => evaluateCondition(r, parsed.whereClause));
 
-    // --- 3. WINDOW FUNCTIONS ---
+    // --- 3. GROUP BY & AGGREGATES ---
+    if (parsed.groupBy) {
+        const groups = {};
+        const groupCols = parsed.groupBy.split(',').map(c => c.trim());
+        rows.forEach(row => {
+            const key = groupCols.map(col => row[col]).join('|');
+            if (!groups[key]) {
+                groups[key] = { baseRow: { ...row }, aggValues: {} };
+            }
+            parsed.selectTokens.filter(t => t.isAggregate).forEach(t => {
+                if (!groups[key].aggValues[t.alias]) groups[key].aggValues[t.alias] = [];
+                groups[key].aggValues[t.alias].push(t.aggColumn && t.aggColumn !== '*' ? row[t.aggColumn] : 1);
+            });
+        });
+        rows = Object.values(groups).map(group => {
+            const finalRow = { ...group.baseRow };
+            parsed.selectTokens.filter(t => t.isAggregate).forEach(t => {
+                // Keyed by the expression as well, for windows that order by the aggregate
+                finalRow[t.alias] = finalRow[t.expr] = sqlAggregates[t.aggFunc](group.aggValues[t.alias], t.aggExtra);
+            });
+            return finalRow;
+        });
+    }
+
+    // --- 4. WINDOW FUNCTIONS ---
+    // Windows run over the grouped rows, so OVER (ORDER BY sum(sales)) can rank groups
     parsed.selectTokens.filter(t => t.isWindow).forEach(t => {
         const partitions = {};
         const partCols = t.partitionBy ? t.partitionBy.split(',').map(c => c.trim()) : [];
@@ -282,29 +293,6 @@ function executeQuery(sql, rootData) {
         });
     });
 
-    // --- 4. GROUP BY & AGGREGATES ---
-    if (parsed.groupBy) {
-        const groups = {};
-        const groupCols = parsed.groupBy.split(',').map(c => c.trim());
-        rows.forEach(row => {
-            const key = groupCols.map(col => row[col]).join('|');
-            if (!groups[key]) {
-                groups[key] = { baseRow: { ...row }, aggValues: {} };
-            }
-            parsed.selectTokens.filter(t => t.isAggregate).forEach(t => {
-                if (!groups[key].aggValues[t.alias]) groups[key].aggValues[t.alias] = [];
-                groups[key].aggValues[t.alias].push(t.aggColumn ? row[t.aggColumn] : 1);
-            });
-        });
-        rows = Object.values(groups).map(group => {
-            const finalRow = { ...group.baseRow };
-            parsed.selectTokens.filter(t => t.isAggregate).forEach(t => {
-                finalRow[t.alias] = sqlFunctions[t.aggFunc](group.aggValues[t.alias]);
-            });
-            return finalRow;
-        });
-    }
-
     // --- 5. GLOBAL ORDER BY ---
     if (parsed.orderClause) rows = applyOrderBy(rows, parsed.orderClause);
 
@@ -331,11 +319,11 @@ function executeQuery(sql, rootData) {
                 if (sqlFunctions[funcName]) {
                     clean[t.alias] = sqlFunctions[funcName](resolvedArgs);
                 } else {
-                    clean[t.alias] = "NULL";
+                    clean[t.alias] = null;
                 }
             } else {
                 // Standard column or already processed aggregate/window
-                clean[t.alias] = row[t.alias] !== undefined ? row[t.alias] : (row[t.expr] ?? "NULL");
+                clean[t.alias] = row[t.alias] !== undefined ? row[t.alias] : (row[t.expr] ?? null);
             }
         });
         return clean;
@@ -427,14 +415,11 @@ function formatAsMySQLTable(rows) {
     if (!rows.length) return "Empty set";
     const columns = Object.keys(rows[0]);
     const widths = {};
-    columns.forEach(col => widths[col] = Math.max(col.length, ...rows.map(r => String(r[col] ?? "").length)));
+    const display = v => v === null || v === undefined ? "NULL" : String(v); // NULL is only spelled out here
+    columns.forEach(col => widths[col] = Math.max(col.length, ...rows.map(r => display(r[col]).length)));
     const line = () => "+" + columns.map(c => "-".repeat(widths[c] + 2)).join("+") + "+";
 
-    // Inside formatAsMySQLTable
-    const rowStr = (vals) => "| " + vals.map((v, i) => {
-        const displayVal = v === null ? "NULL" : String(v); // Explicitly print NULL
-        return displayVal.padEnd(widths[columns[i]]);
-    }).join(" | ") + " |";
+    const rowStr = (vals) => "| " + vals.map((v, i) => display(v).padEnd(widths[columns[i]])).join(" | ") + " |";
 
     let output = line() + "\n" + rowStr(columns) + "\n" + line() + "\n";
     rows.forEach(r => output += rowStr(columns.map(c => r[c])) + "\n");
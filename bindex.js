@@ -1,4 +1,5 @@
 const readline = require('readline');
+const { hashMatch } = require('./chatgpt');
 
 // --- 1. REGISTRIES ---
 const sqlFunctions = {
@@ -47,19 +48,18 @@ async function executeQuery(sql, rootData) {
         const rightCol = condition[1].trim();
         
         const joinData = rootData[joinTableRaw] || [];
-        let joinedRows = [];
-
-        rows.forEach(row => {
-            const leftVal = row[leftCol] ?? row[leftCol.split('.').pop()];
-            joinData.forEach(jRow => {
-                if (String(leftVal) === String(jRow[rightCol])) {
-                    let combined = { ...row, ...jRow };
-                    Object.keys(jRow).forEach(k => combined[`${joinTableRaw}.${k}`] = jRow[k]);
-                    joinedRows.push(combined);
-                }
-            });
+        const namespacedJoin = joinData.map(jRow => {
+            let entry = { ...jRow };
+            Object.keys(jRow).forEach(k => entry[`${joinTableRaw}.${k}`] = jRow[k]);
+            return entry;
         });
-        rows = joinedRows;
+
+        // Hash join on the text of both keys (the smaller side is the build side)
+        const matches = hashMatch(
+            rows.map(row => String(row[leftCol] ?? row[leftCol.split('.').pop()])),
+            joinData.map(jRow => String(jRow[rightCol]))
+        );
+        rows = rows.flatMap((row, idx) => matches[idx].map(j => ({ ...row, ...namespacedJoin[j] })));
     }
 
     // D. 2: WHERE (OR/AND Logic)
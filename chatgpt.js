@@ -12,15 +12,63 @@ DESIGN GOAL
 
 SUPPORTED FEATURES
 ------------------
-• SELECT columns, aliases
-• Scalar functions: upper, lower, coalesce
-• WHERE (AND conditions)
-• INNER JOIN, LEFT JOIN
+• Parsing by the Chevrotain grammar in neoParser.js (typed AST)
+• SELECT columns, *, aliases, arithmetic expressions
+• Scalar functions: upper, lower, coalesce, length, substr, ... (evaluator.js)
+• WHERE with AND / OR / NOT, parentheses, IN, BETWEEN, LIKE
+  and function calls on either side of a comparison
+• INNER, LEFT, RIGHT, FULL OUTER JOIN ... ON <any condition>
+  (hash join / sort-merge join on the `a = b AND c = d` parts)
+• CROSS JOIN, FROM a, b, JOIN ... USING (col), NATURAL JOIN
+• Table aliases (FROM data.friends f JOIN data.friends mgr ...), self-joins;
+  unqualified columns present in several tables are rejected as ambiguous
+• Subqueries: FROM (SELECT ...) AS t, IN (SELECT ...), EXISTS (...),
+  scalar (SELECT ...) in any expression; correlated ones see the outer row
+• WITH name [(cols)] AS (...) common table expressions, including
+  WITH RECURSIVE <anchor> UNION [ALL] <step> for parent/child trees
+• UNION [ALL], INTERSECT [ALL], EXCEPT [ALL]; ORDER BY / LIMIT after the
+  last SELECT apply to the combined result
 • GROUP BY + aggregates (sum, count, avg, min, max)
+• HAVING, with aggregates computed per group even when not selected
+• Aggregates over any expression (sum(price * qty)), count(DISTINCT x),
+  and expressions over aggregates (sum(a) / count(*))
+• Aggregates without GROUP BY collapse the input into one row
+  (count(*) of nothing is 0, sum of nothing is NULL)
+• More aggregates: string_agg(x, sep ORDER BY ...), array_agg, json_agg,
+  median, percentile_cont(x, f), stddev, variance, bool_and/or, mode
 • DISTINCT
-• ORDER BY
-• LIMIT
-• Window functions: row_number, rank, dense_rank
+• Collations: binary (case-sensitive) by default, name COLLATE nocase or
+  COLLATE 'de-DE' on comparisons, LIKE and ORDER BY, setDefaultCollation()
+  for the session
+• Real NULLs with three-valued logic: IS [NOT] NULL, IS [NOT] DISTINCT FROM,
+  nullif(a, b); NULL in arithmetic and functions gives NULL (except coalesce
+  and concat); only formatAsMySQLTable prints the word NULL
+• Types: integer, double, decimal(p, s), text, boolean, date, timestamp, json,
+  inferred per column from the data; CAST(x AS t), TRY_CAST(x AS t), x::t.
+  Text never equals a number ("007" <> 7); mismatched comparisons, unknown
+  types and impossible literal casts are rejected before the query runs
+• Dates and times: ISO dates/timestamps compare and sort by instant, INTERVAL '7 days',
+  now(), current_date, date_trunc, date_part / EXTRACT(part FROM x), date_add,
+  date_diff, format_date(x, '%Y-%m-%d'), timezone('Asia/Tokyo', x), date ± interval
+• Nested JSON: column paths customer.address.city, o.items[0].sku, tags[1],
+  meta->'source'->>'channel', json_extract(doc, '$.items[0].sku'), json_value(...)
+• Arrays into rows: CROSS JOIN unnest(o.items) [WITH ORDINALITY] AS i, LEFT JOIN
+  LATERAL (SELECT ... o.col ...) AS x ON true, json_each(doc) (key / value) and
+  json_array_elements(doc); array elements that are objects become columns
+• Building JSON: json_object('k', v, ...), json_array(...); WITH(OutputNested) or
+  FOR JSON [PATH] turn dotted aliases (AS "address.city") into nested objects
+• INSERT INTO t [(cols)] VALUES (...), (...) | SELECT ..., UPDATE t SET col = ...,
+  doc.path = ... [WHERE], DELETE FROM t [WHERE]: change the arrays in place and
+  return the affected row count, or the changed rows with RETURNING
+• ORDER BY several keys: expressions, select aliases, positions (ORDER BY 2 DESC)
+  and NULLS FIRST / NULLS LAST; the sort is stable
+• LIMIT / OFFSET
+• Logical clause order FROM → WHERE → GROUP BY → HAVING → WINDOW → SELECT
+  → DISTINCT → ORDER BY → LIMIT (rank() OVER (ORDER BY sum(x) DESC) works)
+• Window functions: row_number, rank, dense_rank, percent_rank, cume_dist,
+  ntile, lag, lead, first_value, last_value, nth_value and every aggregate,
+  OVER (PARTITION BY ... ORDER BY ... ROWS | RANGE BETWEEN ... AND ...)
+  or a named WINDOW w AS (...)
 • WITH(...) execution hints:
     - PAGINATE
     - HEADERCOLUMNUPPERCASE
@@ -31,307 +79,1080 @@ SUPPORTED FEATURES
 */
 
 const readline = require('readline');
+const { parseSQL } = require('./neoParser');
+const {
+    sqlAggregates, sqlTableFunctions, aggregateNames, windowFunctionNames,
+    evaluateExpression, collectNodes, collectAggregates, isTruthy, isMissing,
+    compareValues, collationOf, setDefaultCollation, valueType, unifyTypes, inferType,
+    checkAssignment, checkStoredValue, walkJson, valueKey
+} = require('./evaluator');
 
 // ==================================================
 // 1. FUNCTION REGISTRY
 // ==================================================
-const sqlFunctions = {
-    upper: ([v]) => String(v ?? '').toUpperCase(),
-    lower: ([v]) => String(v ?? '').toLowerCase(),
-    coalesce: (args) => args.find(v => v !== null && v !== undefined && v !== 'NULL' && v !== '') ?? 'NULL',
-
-    sum: (vals) => vals.filter(v => v != null && v !== 'NULL').reduce((a, b) => a + Number(b || 0), 0),
-    count: (vals) => vals.filter(v => v != null && v !== 'NULL').length,
-    avg: (vals) => {
-        const v = vals.filter(x => x != null && x !== 'NULL');
-        return v.length ? v.reduce((a, b) => a + Number(b || 0), 0) / v.length : 0;
-    },
-    min: (vals) => {
-        const v = vals.filter(x => x != null && x !== 'NULL').map(Number);
-        return v.length ? Math.min(...v) : 'NULL';
-    },
-    max: (vals) => {
-        const v = vals.filter(x => x != null && x !== 'NULL').map(Number);
-        return v.length ? Math.max(...v) : 'NULL';
-    }
-};
+// Scalar functions and aggregates (sqlAggregates) live in evaluator.js;
+// aggregates are applied to the rows of each group in runSelect
 
 // ==================================================
 // 2. HELPERS
 // ==================================================
-function splitArgs(str) {
-    let out = [], buf = '', depth = 0;
-    for (const ch of str) {
-        if (ch === '(') depth++;
-        if (ch === ')') depth--;
-        if (ch === ',' && depth === 0) { out.push(buf.trim()); buf = ''; }
-        else buf += ch;
-    }
-    if (buf) out.push(buf.trim());
-    return out;
-}
-
 function resolvePath(path, scope) {
     if (!path) return null;
     const parts = path.split('.');
     let cur = scope;
 
     for (let p of parts) {
-        if (cur === scope && (p === 'data' || p === 'root')) continue;
-        cur = cur?.[p];
+        const key = p.startsWith('$') ? p.slice(1) : p;
+        if (cur === scope && (key === 'data' || key === 'root')) continue;
+        cur = cur?.[key];
     }
     return cur;
 }
 
-function evaluateCondition(row, clause) {
-    if (!clause) return true;
-    return clause.split(/\s+and\s+/i).every(part => {
-        const m = part.match(/(.+?)\s*(=|!=|>|<|>=|<=)\s*(.+)/);
-        if (!m) return true;
-        let [, col, op, val] = m;
-        val = val.replace(/['"]/g, '');
-        let rv = row[col.trim()];
-        if (!isNaN(rv) && !isNaN(val)) { rv = Number(rv); val = Number(val); }
-        if (op === '=') return rv == val;
-        if (op === '!=') return rv != val;
-        if (op === '>') return rv > val;
-        if (op === '<') return rv < val;
-        if (op === '>=') return rv >= val;
-        if (op === '<=') return rv <= val;
-        return true;
+function tableName(path) {
+    return path.split('.').pop().replace(/^\$/, '');
+}
+
+// Rows are namespaced as `table.column` (or `alias.column`) so joined tables never overwrite each other.
+// `ctx` is the current row of the tables to the left, seen by LATERAL subqueries and table functions.
+// `outer` is the enclosing query's lookup, which other derived tables in a subquery still see.
+function loadTable(ref, name, db, ctx = null, outer = null) {
+    const data = ref.type === 'derived' ? runQuery(ref.query, db, ref.lateral ? ctx.lookup : outer)
+        : ref.type === 'function' ? callTableFunction(ref, ctx)
+        : resolvePath(ref.path, db);
+    if (!Array.isArray(data)) return [];
+    return data.map(r => namespaceRow(r, name));
+}
+
+const namespaceRow = (r, name) => Object.fromEntries(Object.entries(r).map(([k, v]) => [`${name}.${k}`, v]));
+
+// unnest(o.items) WITH ORDINALITY numbers its rows from 1 in an `ordinality` column
+function callTableFunction(ref, ctx) {
+    const fn = Object.hasOwn(sqlTableFunctions, ref.name) ? sqlTableFunctions[ref.name] : null;
+    if (!fn) throw new Error(`Unknown table function: ${ref.name}()`);
+    const rows = fn(...ref.args.map(a => evaluateExpression(a, ctx)));
+    return ref.ordinality ? rows.map((r, i) => ({ ...r, ordinality: i + 1 })) : rows;
+}
+
+const isLateral = (ref) => ref.type === 'function' || !!ref.lateral;
+const sourceName = (ref) => ref.alias || (ref.type === 'function' ? ref.name : tableName(ref.path));
+
+// The tables visible to a query, which of them provide each column and the
+// column types inferred from their values (`types`, keyed by `table.column`).
+// `outer` is the enclosing row's lookup when this is a correlated subquery.
+// `tableColumns` lists each table's columns in first-seen order (none when it had no rows).
+function createScope(db, outer = null) {
+    return { db, outer, tables: [], columns: new Map(), merged: new Set(), types: new Map(), tableColumns: new Map() };
+}
+
+function addToScope(scope, name, rows) {
+    if (scope.tables.includes(name)) throw new Error(`Table name "${name}" is used more than once; give it an alias`);
+    scope.tables.push(name);
+    const cols = new Set();
+    rows.forEach(r => Object.keys(r).forEach(k => {
+        cols.add(k.slice(name.length + 1));
+        scope.types.set(k, unifyTypes(scope.types.get(k), valueType(r[k])));
+    }));
+    cols.forEach(c => {
+        if (!scope.columns.has(c)) scope.columns.set(c, []);
+        scope.columns.get(c).push(name);
+    });
+    scope.tableColumns.set(name, [...cols]);
+}
+
+// Every column of `tables` as NULL: the missing side of an outer join row
+function nullRow(scope, tables) {
+    const row = {};
+    tables.forEach(t => scope.tableColumns.get(t).forEach(c => { row[`${t}.${c}`] = null; }));
+    return row;
+}
+
+// Splits a column path into the column and the steps into its nested value:
+// `o.customer.address.city` is column `customer` of table `o`, then `address`, `city`.
+// The longest leading part that names a column wins, so a column called "a.b" still resolves.
+function splitColumnPath(scope, path) {
+    const table = path.length > 1 && scope.tables.includes(path[0]) ? path[0] : null;
+    const parts = table ? path.slice(1) : path;
+    for (let i = parts.length; i > 0; i--) {
+        if (parts.slice(0, i).some(p => typeof p !== 'string')) continue;
+        const name = parts.slice(0, i).join('.');
+        const owners = (scope.columns.get(name) || []).filter(t => !table || t === table);
+        if (owners.length) return { name, owners, steps: parts.slice(i) };
+    }
+    return { name: parts.join('.'), owners: table ? [table] : [], steps: [] };
+}
+
+function lookupColumn(row, scope, path) {
+    const { name, owners, steps } = splitColumnPath(scope, path);
+    if (!owners.length && scope.outer) return scope.outer(path);
+    if (!scope.columns.get(name)?.some(t => owners.includes(t))) {
+        // A name that may belong to a table without rows reads as NULL
+        if ((owners.length ? owners : scope.tables).some(t => !scope.tableColumns.get(t).length)) return undefined;
+        throw new Error(`Unknown column: ${path.join('.')}`);
+    }
+    if (owners.length > 1 && !scope.merged.has(name)) {
+        throw new Error(`Column reference "${name}" is ambiguous (${owners.map(t => `${t}.${name}`).join(', ')})`);
+    }
+    // USING columns read from whichever side of an outer join is present
+    const owner = owners.find(t => !isMissing(row[`${t}.${name}`])) ?? owners[0];
+    return owner ? walkJson(row[`${owner}.${name}`], steps) : undefined;
+}
+
+// The inferred type of a column for the type check; 'any' when it cannot be told
+// (outer columns, ambiguous names, aliases, nested values or a column holding mixed values)
+function columnType(scope, path) {
+    const { name, owners, steps } = splitColumnPath(scope, path);
+    return owners.length === 1 && !steps.length ? scope.types.get(`${owners[0]}.${name}`) || 'any' : 'any';
+}
+
+const checkTypes = (expr, scope) => expr && inferType(expr, path => columnType(scope, path));
+
+function rowContext(row, scope, extra = {}) {
+    const lookup = path => lookupColumn(row, scope, path);
+    return { lookup, subquery: query => runSubquery(query, scope.db, lookup), ...extra };
+}
+
+// Uncorrelated subqueries give the same rows for every outer row, so they run once
+// per database view (each recursive CTE step sees a different view). executeQuery
+// starts every statement on a fresh view, so nothing is kept between statements.
+const subqueryCache = new WeakMap();
+
+function runSubquery(query, db, outerLookup) {
+    if (!subqueryCache.has(db)) subqueryCache.set(db, new Map());
+    const cache = subqueryCache.get(db);
+    if (cache.has(query)) return cache.get(query);
+    let correlated = false;
+    const rows = runQuery(query, db, path => {
+        correlated = true;
+        return outerLookup(path);
     });
+    if (!correlated) cache.set(query, rows);
+    return rows;
+}
+
+// One output row of a select list (the SELECT step and RETURNING)
+function projectRow(row, columns, scope, ctx) {
+    const out = {};
+    columns.forEach(t => {
+        if (t.expr.type === 'star') Object.assign(out, expandStar(row, scope, t.expr.table));
+        else out[t.alias] = evaluateExpression(t.expr, ctx) ?? null;
+    });
+    return out;
+}
+
+// `*` lists the columns the scope knows, so every row has the same keys. A USING column
+// appears once; other names held by several tables are qualified (`a.k`, `b.k`).
+function expandStar(row, scope, table) {
+    const tables = scope.tables.filter(t => !table || t === table);
+    const o = {};
+    tables.forEach(t => scope.tableColumns.get(t).forEach(c => {
+        if (!table && scope.merged.has(c)) {
+            if (!Object.hasOwn(o, c)) o[c] = lookupColumn(row, scope, [c]) ?? null;
+            return;
+        }
+        const shared = scope.columns.get(c).filter(owner => tables.includes(owner)).length > 1;
+        o[shared ? `${t}.${c}` : c] = row[`${t}.${c}`] ?? null;
+    }));
+    return o;
 }
 
 // ==================================================
-// 3. PARSER
+// 3. JOIN
 // ==================================================
-function findTop(sql, kw) {
-    let d = 0; const l = sql.toLowerCase(); kw = kw.toLowerCase();
-    for (let i = 0; i < sql.length; i++) {
-        if (sql[i] === '(') d++;
-        if (sql[i] === ')') d--;
-        if (d === 0 && l.startsWith(kw, i)) return i;
-    }
-    return -1;
-}
-
-function parseToken(raw) {
-    const m = raw.match(/(.+) as (.+)/i);
-    const expr = m ? m[1].trim() : raw.trim();
-    const alias = m ? m[2].trim() : expr.split('.').pop();
-    const isAgg = /^(sum|avg|count|min|max)\(/i.test(expr);
-    const isWin = /over\s*\(/i.test(expr);
-    let aggFunc = null, aggCol = null;
-    if (isAgg) {
-        const mm = expr.match(/^(\w+)\((.*)\)/);
-        aggFunc = mm[1].toLowerCase();
-        aggCol = mm[2] === '*' ? null : mm[2];
-    }
-    return { expr, alias, isAgg, aggFunc, aggCol, isWin };
-}
-
-function parseSQL(sql) {
-    const hints = sql.match(/with\s*\(([^)]+)\)/i);
-    const activeHints = hints ? hints[1].split(',').map(x => x.trim().toLowerCase()) : [];
-    sql = sql.replace(/with\s*\([^)]+\)/i, '').trim();
-
-    const s = findTop(sql, 'select');
-    const f = findTop(sql, 'from');
-    const w = findTop(sql, 'where');
-    const g = findTop(sql, 'group by');
-    const o = findTop(sql, 'order by');
-    const l = findTop(sql, 'limit');
-
-    const end = (x) => [w, g, o, l].filter(i => i > x).sort((a, b) => a - b)[0] ?? sql.length;
-
-    let selectRaw = sql.slice(s + 6, f).trim();
-    let distinct = false;
-
-    if (/^distinct\s+/i.test(selectRaw)) {
-        distinct = true;
-        selectRaw = selectRaw.replace(/^distinct\s+/i, '');
-    }
-
-    let depth = 0, buf = '', tokens = [];
-    for (const ch of selectRaw) {
-        if (ch === '(') depth++;
-        if (ch === ')') depth--;
-        if (ch === ',' && depth === 0) { tokens.push(parseToken(buf)); buf = ''; }
-        else buf += ch;
-    }
-    tokens.push(parseToken(buf));
-
-    const fromPart = sql.slice(f + 4, end(f)).trim();
-    const joinRegex = /(inner|left|right|full)?\s*(outer)?\s*join\s+/ig;
-    let match, lastIndex = 0;
-
-    const base = fromPart.split(joinRegex)[0].trim();
-    const joinDefs = [];
-
-    while ((match = joinRegex.exec(fromPart)) !== null) {
-        const joinType = (match[1] || 'inner').toLowerCase();
-        const start = match.index + match[0].length;
-        const next = joinRegex.exec(fromPart);
-        const chunk = fromPart.slice(start, next ? next.index : undefined).trim();
-        if (next) joinRegex.lastIndex = next.index;
-
-        const [table, cond] = chunk.split(/\son\s/i);
-        joinDefs.push({
-            type: joinType,
-            table: table.trim(),
-            cond: cond.trim()
+// The `a = b` parts of an ON condition match through a hash table built on
+// the smaller side, or a sort-merge when both inputs already arrive sorted on
+// a single key. Conditions without such a part fall back to the nested loop.
+
+// Hash keys are evaluator.js's valueKey, so they follow `=`: numbers by value, dates and
+// timestamps by instant, other text by its collation (never equal to a number), JSON by its text.
+// GROUP BY, DISTINCT, PARTITION BY and set operations group rows by the same keys.
+const groupKey = (values, collations = []) => JSON.stringify(values.map((v, i) => valueKey(v, collations[i])));
+
+function compareKeys(a, b) {
+    if (a[0] === 'n' || a[0] === 't') return Number(a.slice(2)) - Number(b.slice(2));
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function isPresorted(keys, kind) {
+    return keys.every((k, i) => k !== null && k[0] === kind && (i === 0 || compareKeys(keys[i - 1], k) <= 0));
+}
+
+function splitConjuncts(expr) {
+    if (expr.type === 'binary' && expr.op === 'and') return [...splitConjuncts(expr.left), ...splitConjuncts(expr.right)];
+    return [expr];
+}
+
+// Splits the ON condition into `left = right` pairs usable as hash keys and a residual
+// predicate (ranges, <>, OR, ...) that is checked on every candidate pair
+function planJoinCondition(on, scope) {
+    const rightTable = scope.tables[scope.tables.length - 1];
+
+    const sideOf = (expr) => {
+        const owners = collectNodes(expr, n => n.type === 'column').map(c => {
+            const candidates = splitColumnPath(scope, c.path).owners;
+            if (candidates.length === 1 || (candidates.length && !candidates.includes(rightTable))) return candidates[0];
+            return null;
         });
+        if (!owners.length || owners.includes(null)) return null;
+        const sides = new Set(owners.map(t => t === rightTable ? 'right' : 'left'));
+        return sides.size === 1 ? [...sides][0] : null;
+    };
+
+    const plan = { leftExprs: [], rightExprs: [], collations: [], residual: null };
+    const rest = [];
+    splitConjuncts(on).forEach(c => {
+        const l = c.type === 'binary' && c.op === '=' ? sideOf(c.left) : null;
+        const r = l ? sideOf(c.right) : null;
+        if (l === 'left' && r === 'right') { plan.leftExprs.push(c.left); plan.rightExprs.push(c.right); }
+        else if (l === 'right' && r === 'left') { plan.leftExprs.push(c.right); plan.rightExprs.push(c.left); }
+        else return rest.push(c);
+        plan.collations.push(collationOf(c.left, c.right));
+    });
+    plan.residual = rest.reduce((acc, c) => acc ? { type: 'binary', op: 'and', left: acc, right: c } : c, null);
+    return plan;
+}
+
+function compositeKey(exprs, row, scope, collations) {
+    const ctx = rowContext(row, scope);
+    const parts = exprs.map((e, i) => valueKey(evaluateExpression(e, ctx), collations[i]));
+    if (parts.includes(null)) return null;
+    return parts.length === 1 ? parts[0] : parts.join('\u0000');
+}
+
+// matches[leftIndex] = ascending right indices
+function hashMatch(leftKeys, rightKeys) {
+    const matches = leftKeys.map(() => []);
+    const buildOnLeft = leftKeys.length <= rightKeys.length;
+    const [buildKeys, probeKeys] = buildOnLeft ? [leftKeys, rightKeys] : [rightKeys, leftKeys];
+
+    const table = new Map();
+    buildKeys.forEach((k, i) => {
+        if (k === null) return;
+        if (!table.has(k)) table.set(k, []);
+        table.get(k).push(i);
+    });
 
-        if (!next) break;
+    probeKeys.forEach((k, i) => {
+        const hits = k === null ? undefined : table.get(k);
+        if (!hits) return;
+        if (buildOnLeft) hits.forEach(li => matches[li].push(i));
+        else matches[i] = hits;
+    });
+    return matches;
+}
+
+function mergeMatch(leftKeys, rightKeys) {
+    const matches = leftKeys.map(() => []);
+    let i = 0, j = 0;
+    while (i < leftKeys.length && j < rightKeys.length) {
+        const c = compareKeys(leftKeys[i], rightKeys[j]);
+        if (c < 0) i++;
+        else if (c > 0) j++;
+        else {
+            let end = j;
+            while (end < rightKeys.length && compareKeys(rightKeys[end], leftKeys[i]) === 0) end++;
+            const run = Array.from({ length: end - j }, (_, n) => j + n);
+            while (i < leftKeys.length && compareKeys(leftKeys[i], rightKeys[j]) === 0) matches[i++] = run;
+            j = end;
+        }
     }
+    return matches;
+}
 
+function nestedLoopMatch(leftRows, rightRows, on, scope) {
+    return leftRows.map(leftRow => {
+        const hits = [];
+        rightRows.forEach((rightRow, ri) => {
+            if (isTruthy(evaluateExpression(on, rowContext({ ...leftRow, ...rightRow }, scope)))) hits.push(ri);
+        });
+        return hits;
+    });
+}
 
-    return {
-        tokens,
-        base,
-        joins: joinDefs,
-        where: w !== -1 ? sql.slice(w + 5, end(w)).trim() : null,
-        groupBy: g !== -1 ? sql.slice(g + 8, end(g)).trim() : null,
-        orderBy: o !== -1 ? sql.slice(o + 8, end(o)).trim() : null,
-        limit: l !== -1 ? Number(sql.slice(l + 5).trim()) : null,
-        hints: activeHints,
-        distinct
-    };
+// USING (a, b) and NATURAL JOIN become ON left.a = right.a AND left.b = right.b.
+// Called before the right table joins the scope; the shared columns are marked as
+// merged so an unqualified reference to them is not ambiguous.
+function usingCondition(join, scope, rightTable, rightRows) {
+    if (!join.using && !join.natural) return join.on;
+
+    const rightCols = new Set();
+    rightRows.forEach(r => Object.keys(r).forEach(k => rightCols.add(k.slice(rightTable.length + 1))));
+    const cols = join.natural ? [...scope.columns.keys()].filter(c => rightCols.has(c)) : join.using;
+
+    return cols.reduce((acc, c) => {
+        if (!scope.columns.has(c) || !rightCols.has(c)) throw new Error(`USING column ${c} is not present on both sides of JOIN ${rightTable}`);
+        scope.merged.add(c);
+        const eq = {
+            type: 'binary', op: '=',
+            left: { type: 'column', path: [scope.columns.get(c)[0], c] },
+            right: { type: 'column', path: [rightTable, c] }
+        };
+        return acc ? { type: 'binary', op: 'and', left: acc, right: eq } : eq;
+    }, null);
 }
 
-// ==================================================
-// 4. EXECUTION ENGINE
-// ==================================================
-async function executeQuery(sql, db) {
-    const p = parseSQL(sql);
-    const ar = resolvePath(p.base, db)
-    let rows = []
-    if (Array.isArray(ar)) {
-        rows = resolvePath(p.base, db).map(r => ({ ...r }));
+function performJoin(leftRows, rightRows, join, scope) {
+    const plan = join.on ? planJoinCondition(join.on, scope) : null;
+    let matches;
+
+    if (!plan) {
+        // CROSS JOIN, FROM a, b and a NATURAL JOIN without shared columns
+        const all = rightRows.map((_, ri) => ri);
+        matches = leftRows.map(() => all);
+    } else if (plan.leftExprs.length) {
+        const leftKeys = leftRows.map(r => compositeKey(plan.leftExprs, r, scope, plan.collations));
+        const rightKeys = rightRows.map(r => compositeKey(plan.rightExprs, r, scope, plan.collations));
+        const kind = plan.leftExprs.length === 1 ? leftKeys[0]?.[0] : null;
+        matches = kind && isPresorted(leftKeys, kind) && isPresorted(rightKeys, kind)
+            ? mergeMatch(leftKeys, rightKeys)
+            : hashMatch(leftKeys, rightKeys);
+
+        if (plan.residual) {
+            matches = matches.map((hits, li) => hits.filter(ri =>
+                isTruthy(evaluateExpression(plan.residual, rowContext({ ...leftRows[li], ...rightRows[ri] }, scope)))
+            ));
+        }
+    } else {
+        matches = nestedLoopMatch(leftRows, rightRows, join.on, scope);
     }
 
+    const out = [];
+    const matchedRight = new Set();
+    // The right table is the last one added to the scope; unmatched rows get NULLs for the other side
+    const nullRight = nullRow(scope, [scope.tables[scope.tables.length - 1]]);
 
-    // JOIN
-    for (const j of p.joins) {
-        const rightData = resolvePath(j.table, db) || [];
-        const [lKey, rKey] = j.cond.split('=').map(x => x.trim());
-        const out = [];
-        const matchedRight = new Set();
-
-        rows.forEach(leftRow => {
-            let matched = false;
-
-            rightData.forEach((rightRow, ri) => {
-                if (String(leftRow[lKey]) === String(rightRow[rKey])) {
-                    matched = true;
-                    matchedRight.add(ri);
-                    out.push({ ...leftRow, ...rightRow });
-                }
-            });
-
-            if (!matched && (j.type === 'left' || j.type === 'full')) {
-                out.push({ ...leftRow });
-            }
+    leftRows.forEach((leftRow, li) => {
+        matches[li].forEach(ri => {
+            matchedRight.add(ri);
+            out.push({ ...leftRow, ...rightRows[ri] });
         });
 
-        if (j.type === 'right' || j.type === 'full') {
-            rightData.forEach((rightRow, ri) => {
-                if (!matchedRight.has(ri)) {
-                    out.push({ ...rightRow });
-                }
-            });
+        if (!matches[li].length && (join.joinType === 'left' || join.joinType === 'full')) {
+            out.push({ ...leftRow, ...nullRight });
         }
+    });
+
+    if (join.joinType === 'right' || join.joinType === 'full') {
+        const nullLeft = nullRow(scope, scope.tables.slice(0, -1));
+        rightRows.forEach((rightRow, ri) => {
+            if (!matchedRight.has(ri)) {
+                out.push({ ...nullLeft, ...rightRow });
+            }
+        });
+    }
 
-        rows = out;
+    return out;
+}
+
+// A LATERAL subquery or table function runs once per row of the tables to its left,
+// so the join keeps each left row with the rows it produced (or alone, for LEFT JOIN)
+function lateralJoin(leftRows, join, name, scope) {
+    if (join.joinType === 'right' || join.joinType === 'full') {
+        throw new Error(`${join.joinType.toUpperCase()} JOIN cannot be used with LATERAL ${name}`);
     }
+    (join.table.args || []).forEach(a => checkTypes(a, scope));
+    const produced = leftRows.map(r => loadTable(join.table, name, scope.db, rowContext(r, scope)));
+    const on = usingCondition(join, scope, name, produced.flat());
+    addToScope(scope, name, produced.flat());
+    checkTypes(on, scope);
+
+    const out = [];
+    const nullRight = nullRow(scope, [name]);
+    leftRows.forEach((leftRow, li) => {
+        const hits = produced[li]
+            .map(rightRow => ({ ...leftRow, ...rightRow }))
+            .filter(row => !on || isTruthy(evaluateExpression(on, rowContext(row, scope))));
+        out.push(...hits);
+        if (!hits.length && join.joinType === 'left') out.push({ ...leftRow, ...nullRight });
+    });
+    return out;
+}
 
+// ==================================================
+// 4. WINDOW FUNCTIONS
+// ==================================================
+const collectWindows = (expr) => collectNodes(expr, n => n.type === 'window');
+
+// WINDOW w AS (...), w2 AS (w ORDER BY ...): each may build on an earlier one
+function resolveWindow(spec, named) {
+    if (!spec.base) return spec;
+    const base = named.get(spec.base);
+    if (!base) throw new Error(`Window ${spec.base} is not defined`);
+    if (spec.partitionBy.length) throw new Error(`Window ${spec.base} cannot be re-partitioned`);
+    return {
+        partitionBy: base.partitionBy,
+        orderBy: spec.orderBy.length ? spec.orderBy : base.orderBy,
+        frame: spec.frame || base.frame
+    };
+}
 
-    // WHERE
-    rows = rows.filter(r => evaluateCondition(r, p.where));
+function namedWindows(windows = []) {
+    const named = new Map();
+    windows.forEach(w => named.set(w.name, resolveWindow(w.spec, named)));
+    return named;
+}
 
-    // GROUP BY + AGG
-    if (p.groupBy) {
-        const keys = p.groupBy.split(',').map(x => x.trim());
-        const groups = {};
-        rows.forEach(r => {
-            const k = keys.map(c => r[c]).join('|');
-            groups[k] ??= { row: r, aggs: {} };
-            p.tokens.filter(t => t.isAgg).forEach(t => {
-                groups[k].aggs[t.alias] ??= [];
-                groups[k].aggs[t.alias].push(t.aggCol ? r[t.aggCol] : 1);
-            });
-        });
-        rows = Object.values(groups).map(g => {
-            const o = { ...g.row };
-            p.tokens.filter(t => t.isAgg).forEach(t => o[t.alias] = sqlFunctions[t.aggFunc](g.aggs[t.alias]));
-            return o;
-        });
+// Rows with equal ORDER BY keys are peers: they share rank() and RANGE frame edges.
+// `valued` is the first and last row whose first key is not NULL (NULLs sort to one end).
+function peerGroups(part, orderBy) {
+    const peerStart = [], peerEnd = [], dense = [];
+    part.forEach((entry, i) => {
+        const tied = i > 0 && compareSortKeys(entry.keys, part[i - 1].keys, orderBy) === 0;
+        peerStart[i] = tied ? peerStart[i - 1] : i;
+        dense[i] = i === 0 ? 1 : tied ? dense[i - 1] : dense[i - 1] + 1;
+    });
+    for (let i = part.length - 1; i >= 0; i--) {
+        peerEnd[i] = i < part.length - 1 && peerStart[i + 1] === peerStart[i] ? peerEnd[i + 1] : i;
     }
+    const present = part.map(entry => !isMissing(entry.keys[0]));
+    return { peerStart, peerEnd, dense, valued: [present.indexOf(true), present.lastIndexOf(true)] };
+}
 
-    // ORDER BY
-    // ORDER BY (numeric + string safe)
-    if (p.orderBy) {
-        const [c, d] = p.orderBy.split(/\s+/);
-        const desc = d?.toUpperCase() === 'DESC';
+// [first, last] partition index of the frame around row i. Without a frame clause the
+// frame is the whole partition, or everything up to the current row's last peer with ORDER BY.
+function frameBounds(spec, part, i, peers) {
+    const n = part.length;
+    if (!spec.frame) return [0, spec.orderBy.length ? peers.peerEnd[i] : n - 1];
+
+    const { unit, start, end } = spec.frame;
+    const bound = (b, isStart) => {
+        if (b.type === 'current') return unit === 'rows' ? i : isStart ? peers.peerStart[i] : peers.peerEnd[i];
+        if (b.offset === Infinity) return b.type === 'preceding' ? 0 : n - 1;
+        if (unit === 'rows') return b.type === 'preceding' ? i - b.offset : i + b.offset;
+
+        // RANGE n PRECEDING / FOLLOWING: rows whose ORDER BY value is within n of the current one,
+        // found by binary search over the non-NULL keys. A NULL key's frame is its NULL peers.
+        if (spec.orderBy.length !== 1) throw new Error('RANGE with an offset needs exactly one ORDER BY expression');
+        if (isMissing(part[i].keys[0])) return isStart ? peers.peerStart[i] : peers.peerEnd[i];
+        const sign = spec.orderBy[0].direction === 'desc' ? -1 : 1;
+        const target = Number(part[i].keys[0]) + sign * (b.type === 'preceding' ? -b.offset : b.offset);
+        const past = (j) => sign * (Number(part[j].keys[0]) - target);
+        // lo ends as the first valued row at or past the target (start) or beyond it (end)
+        let [lo, hi] = peers.valued;
+        hi++;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (isStart ? past(mid) < 0 : past(mid) <= 0) lo = mid + 1;
+            else hi = mid;
+        }
+        return isStart ? lo : lo - 1;
+    };
+    return [Math.max(0, bound(start, true)), Math.min(n - 1, bound(end, false))];
+}
 
-        rows.sort((a, b) => {
-            const av = a[c];
-            const bv = b[c];
+function windowValue(node, spec, part, i, peers, contextOf) {
+    const n = part.length;
+    const valueAt = (j) => evaluateExpression(node.args[0], contextOf(part[j].item));
+    const argument = (k, fallback) => node.args[k] ? evaluateExpression(node.args[k], contextOf(part[i].item)) : fallback;
+
+    switch (node.name) {
+        case 'row_number': return i + 1;
+        case 'rank': return peers.peerStart[i] + 1;
+        case 'dense_rank': return peers.dense[i];
+        case 'percent_rank': return n > 1 ? peers.peerStart[i] / (n - 1) : 0;
+        case 'cume_dist': return (peers.peerEnd[i] + 1) / n;
+        case 'ntile': {
+            // The first (n % buckets) buckets get one extra row
+            const buckets = Number(argument(0));
+            if (!(buckets > 0)) throw new Error(`ntile() needs a positive bucket count, got ${buckets}`);
+            const size = Math.floor(n / buckets), extra = n % buckets;
+            const big = extra * (size + 1);
+            return i < big ? Math.floor(i / (size + 1)) + 1 : Math.floor((i - big) / size) + extra + 1;
+        }
+        case 'lag':
+        case 'lead': {
+            const offset = Number(argument(1, 1));
+            const j = node.name === 'lag' ? i - offset : i + offset;
+            return j >= 0 && j < n ? valueAt(j) : argument(2, null);
+        }
+    }
 
-            // numeric sort
-            if (!isNaN(av) && !isNaN(bv)) {
-                return desc ? bv - av : av - bv;
-            }
+    const [first, last] = frameBounds(spec, part, i, peers);
+    switch (node.name) {
+        case 'first_value': return first <= last ? valueAt(first) : null;
+        case 'last_value': return first <= last ? valueAt(last) : null;
+        case 'nth_value': {
+            const j = first + Number(argument(1)) - 1;
+            return j >= first && j <= last ? valueAt(j) : null;
+        }
+    }
+}
 
-            // string sort (locale-aware)
-            return desc
-                ? String(bv).localeCompare(String(av))
-                : String(av).localeCompare(String(bv));
+// Aggregates over each row's frame: sum(x) OVER (... ROWS BETWEEN 2 PRECEDING AND CURRENT ROW).
+// The argument is evaluated once per row. count/sum/avg read prefix sums and min/max keep a
+// sliding window while the frame edges only move forward (RANGE offsets over NULL keys can move
+// them back), so a running total is linear in the partition.
+function frameAggregates(node, spec, part, peers, contextOf) {
+    const bounds = part.map((_, i) => frameBounds(spec, part, i, peers));
+    if (node.distinct || (node.orderBy && node.orderBy.length)) {
+        return bounds.map(([first, last]) => aggregateOver(node, part.slice(first, last + 1).map(entry => contextOf(entry.item))));
+    }
+    const values = part.map(entry => node.star ? 1 : evaluateExpression(node.args[0], contextOf(entry.item)));
+
+    if (['count', 'sum', 'avg'].includes(node.name)) {
+        // Non-numeric values are rejected by the aggregate itself
+        if (node.name !== 'count') sqlAggregates.sum(values);
+        const counts = [0], totals = [0];
+        values.forEach((v, i) => {
+            const missing = isMissing(v);
+            counts[i + 1] = counts[i] + (missing ? 0 : 1);
+            totals[i + 1] = totals[i] + (missing || node.name === 'count' ? 0 : Number(v));
+        });
+        return bounds.map(([first, last]) => {
+            const count = last >= first ? counts[last + 1] - counts[first] : 0;
+            if (node.name === 'count') return count;
+            if (!count) return null;
+            const total = totals[last + 1] - totals[first];
+            return node.name === 'sum' ? total : total / count;
         });
     }
 
+    const forward = bounds.every(([first, last], i) => i === 0 || (first >= bounds[i - 1][0] && last >= bounds[i - 1][1]));
+    if (forward && (node.name === 'min' || node.name === 'max')) {
+        // Indexes of candidates, best first; a later value evicts the worse ones before it
+        const worse = node.name === 'min' ? (a, b) => compareValues(a, b) > 0 : (a, b) => compareValues(a, b) < 0;
+        const queue = [];
+        let head = 0, next = 0;
+        return bounds.map(([first, last]) => {
+            for (; next <= last; next++) {
+                if (isMissing(values[next])) continue;
+                while (queue.length > head && worse(values[queue[queue.length - 1]], values[next])) queue.pop();
+                queue.push(next);
+            }
+            while (head < queue.length && queue[head] < first) head++;
+            return head < queue.length && first <= last ? values[queue[head]] : null;
+        });
+    }
 
-    // LIMIT
-    if (p.limit) rows = rows.slice(0, p.limit);
+    return bounds.map(([first, last]) => {
+        const extra = node.args.slice(1).map(a => evaluateExpression(a, first <= last ? contextOf(part[first].item) : { lookup: () => undefined }));
+        return sqlAggregates[node.name](values.slice(first, last + 1), extra);
+    });
+}
+
+// Stores each window node's value in item.windows, partition by partition
+function computeWindows(items, nodes, named, contextOf) {
+    items.forEach(item => { item.windows = new Map(); });
+    nodes.forEach(node => {
+        if (!windowFunctionNames.has(node.name) && !aggregateNames.has(node.name)) throw new Error(`${node.name}() is not a window function`);
+        const spec = resolveWindow(node.window, named);
+
+        const partitionCollations = spec.partitionBy.map(e => collationOf(e));
+        const partitions = new Map();
+        items.forEach(item => {
+            const ctx = contextOf(item);
+            const key = groupKey(spec.partitionBy.map(e => evaluateExpression(e, ctx)), partitionCollations);
+            if (!partitions.has(key)) partitions.set(key, []);
+            partitions.get(key).push({ item, keys: spec.orderBy.map(o => evaluateExpression(o.expr, ctx)) });
+        });
 
-    // FINAL SELECT
-    let result = rows.map(r => {
-        const o = {};
-        p.tokens.forEach(t => {
-            const m = t.expr.match(/(\w+)\((.*)\)/);
-            if (m && sqlFunctions[m[1]]) {
-                const args = splitArgs(m[2]).map(a => r[a] ?? a.replace(/['"]/g, ''));
-                o[t.alias] = sqlFunctions[m[1]](args);
+        partitions.forEach(part => {
+            part.sort((a, b) => compareSortKeys(a.keys, b.keys, spec.orderBy));
+            const peers = peerGroups(part, spec.orderBy);
+            if (aggregateNames.has(node.name)) {
+                const values = frameAggregates(node, spec, part, peers, contextOf);
+                part.forEach((entry, i) => entry.item.windows.set(node, values[i]));
             } else {
-                if (t.expr.includes('.')) {
-                    const col = t.expr.split('.').pop();
-                    o[t.alias] = r[col] ?? 'NULL';
-                } else {
-                    o[t.alias] = r[t.expr] ?? 'NULL';
-                }
+                part.forEach((entry, i) => entry.item.windows.set(node, windowValue(node, spec, part, i, peers, contextOf)));
             }
+        });
+    });
+}
+
+// ==================================================
+// 5. EXECUTION ENGINE
+// ==================================================
+// --- WITH (common table expressions) ---
+const MAX_RECURSION = 1000;
+
+function referencesTable(node, name) {
+    if (!node || typeof node !== 'object') return false;
+    if (node.type === 'table' && node.path === name) return true;
+    return Object.values(node).some(child => referencesTable(child, name));
+}
+
+// Result columns in select-list order (object key order puts aliases like "0" first).
+// null when a SELECT * returned no rows, so its columns are unknown.
+function outputColumns(query, rows) {
+    if (query.type === 'compound') return outputColumns(query.left, rows);
+    if (query.columns.some(c => c.expr.type === 'star')) return rows.length ? Object.keys(rows[0]) : null;
+    return query.columns.map(c => c.alias);
+}
+
+// WITH t(a, b) AS (...) and the second half of a UNION take their column names by position
+function renameColumns(rows, names, query, cteName) {
+    if (!names) return rows;
+    const source = outputColumns(query, rows);
+    if (rows.length && source.length !== names.length) throw new Error(`WITH ${cteName} has ${names.length} columns but its query returns ${source.length}`);
+    return rows.map(r => Object.fromEntries(names.map((n, i) => [n, r[source[i]]])));
+}
+
+function materializeCte(cte, db) {
+    const body = cte.query;
+    const recursive = cte.recursive && referencesTable(body, cte.name);
+    if (!recursive) return renameColumns(runQuery(body, db), cte.columns, body, cte.name);
+    if (body.type !== 'compound' || body.op !== 'union') throw new Error(`WITH RECURSIVE ${cte.name} must be <anchor> UNION [ALL] <recursive step>`);
+    if (referencesTable(body.left, cte.name)) throw new Error(`The anchor of WITH RECURSIVE ${cte.name} cannot reference ${cte.name}`);
+
+    const anchorRows = runQuery(body.left, db);
+    const names = cte.columns || outputColumns(body.left, anchorRows);
+    const anchor = renameColumns(anchorRows, names, body.left, cte.name);
+    // UNION (without ALL) drops rows already produced, which also stops cycles
+    const seen = new Set();
+    const keep = (rows) => body.all ? rows : rows.filter(r => {
+        const key = groupKey(Object.values(r));
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
 
+    let working = keep(anchor);
+    const result = [...working];
+
+    // Each step only sees the rows produced by the previous one
+    for (let i = 0; working.length; i++) {
+        if (i >= MAX_RECURSION) throw new Error(`WITH RECURSIVE ${cte.name} did not finish after ${MAX_RECURSION} iterations`);
+        const stepDb = Object.create(db);
+        stepDb[cte.name] = working;
+        working = keep(renameColumns(runQuery(body.right, stepDb), names, body.right, cte.name));
+        result.push(...working);
+    }
+    return result;
+}
+
+// CTEs shadow tables of the same name; later CTEs can read earlier ones
+function withCtes(ctes, db) {
+    return ctes.reduce((view, cte) => {
+        const next = Object.create(view);
+        next[cte.name] = materializeCte(cte, view);
+        return next;
+    }, db);
+}
+
+// --- UNION / INTERSECT / EXCEPT ---
+const rowKey = (row, names) => groupKey(names.map(n => row[n]));
+
+function countRows(rows, names) {
+    const counts = new Map();
+    rows.forEach(r => counts.set(rowKey(r, names), (counts.get(rowKey(r, names)) || 0) + 1));
+    return counts;
+}
+
+function distinctRows(rows, names) {
+    const seen = new Set();
+    return rows.filter(r => {
+        const key = rowKey(r, names);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+function runCompound(q, db, outer) {
+    if (q.ctes.length) db = withCtes(q.ctes, db);
+    const leftRows = runQuery(q.left, db, outer);
+    const rightRows = runQuery(q.right, db, outer);
+    const leftNames = outputColumns(q.left, leftRows);
+    const rightNames = outputColumns(q.right, rightRows);
+    const opName = `${q.op.toUpperCase()}${q.all ? ' ALL' : ''}`;
+    if (leftNames && rightNames && leftNames.length !== rightNames.length) {
+        throw new Error(`Each side of ${opName} must return the same number of columns (${leftNames.length} vs ${rightNames.length})`);
+    }
+
+    // Columns are matched by position and named after the left side
+    const names = leftNames || rightNames || [];
+    const left = leftRows;
+    const right = rightNames ? rightRows.map(r => Object.fromEntries(names.map((n, i) => [n, r[rightNames[i]]]))) : rightRows;
+
+    let rows;
+    if (q.op === 'union') {
+        rows = q.all ? [...left, ...right] : distinctRows([...left, ...right], names);
+    } else {
+        // INTERSECT ALL keeps min(m, n) copies of a row, EXCEPT ALL keeps m - n
+        const remaining = countRows(right, names);
+        const keep = q.op === 'intersect'
+            ? (key) => remaining.get(key) > 0
+            : (key) => !remaining.get(key);
+        rows = (q.all ? left : distinctRows(left, names)).filter(r => {
+            const key = rowKey(r, names);
+            const kept = keep(key);
+            if (q.all && remaining.get(key)) remaining.set(key, remaining.get(key) - 1);
+            return kept;
         });
-        return o;
+    }
+
+    // ORDER BY on a compound query can only name result columns
+    const lookupResult = (row) => (path) => {
+        const name = path.join('.');
+        if (names.includes(name)) return row[name];
+        if (names.includes(path[path.length - 1])) return row[path[path.length - 1]];
+        throw new Error(`ORDER BY ${name} is not a column of the ${opName} result`);
+    };
+    rows = orderItems(rows, resolveOrdinals(q.orderBy, names), row => ({ lookup: lookupResult(row) }));
+    return applyLimit(rows, q);
+}
+
+// NULLs sort as the largest value (last ascending, first descending) unless
+// NULLS FIRST / NULLS LAST says otherwise
+function compareSortKeys(a, b, orderBy) {
+    for (let i = 0; i < orderBy.length; i++) {
+        const { direction, nulls } = orderBy[i];
+        const aNull = isMissing(a[i]), bNull = isMissing(b[i]);
+        if (aNull || bNull) {
+            if (aNull && bNull) continue;
+            const nullsFirst = nulls ? nulls === 'first' : direction === 'desc';
+            return aNull === nullsFirst ? -1 : 1;
+        }
+        const c = compareValues(a[i], b[i], collationOf(orderBy[i].expr));
+        if (c !== 0) return direction === 'desc' ? -c : c;
+    }
+    return 0;
+}
+
+// ORDER BY 2 names the second result column. `names` is null when there are no rows to sort.
+function resolveOrdinals(orderBy, names) {
+    if (!names) return orderBy;
+    return orderBy.map(o => {
+        if (o.expr.type !== 'literal' || !Number.isInteger(o.expr.value)) return o;
+        const name = names[o.expr.value - 1];
+        if (name === undefined) throw new Error(`ORDER BY position ${o.expr.value} is not in the select list`);
+        return { ...o, expr: { type: 'column', path: [name] } };
+    });
+}
+
+// ORDER BY (numbers numerically, text by its collation), shared by SELECT, compound queries and windows.
+// Array.prototype.sort is stable, so rows with equal keys keep their input order.
+function orderItems(items, orderBy, contextOf) {
+    if (!orderBy.length) return items;
+    const keyed = items.map(item => {
+        const ctx = contextOf(item);
+        return { item, keys: orderBy.map(o => evaluateExpression(o.expr, ctx)) };
     });
+    keyed.sort((a, b) => compareSortKeys(a.keys, b.keys, orderBy));
+    return keyed.map(k => k.item);
+}
+
+function applyLimit(items, q) {
+    if (q.limit === null && !q.offset) return items;
+    const offset = q.offset || 0;
+    return items.slice(offset, q.limit !== null ? offset + q.limit : undefined);
+}
+
+// One aggregate call over a group (or a window frame), given one context per row:
+// ORDER BY inside the call, DISTINCT, then the remaining constant arguments
+// (string_agg(name, ', ' ORDER BY name))
+function aggregateOver(node, contexts) {
+    const ordered = orderItems(contexts, node.orderBy || [], ctx => ctx);
+    let values = ordered.map(ctx => node.star ? 1 : evaluateExpression(node.args[0], ctx));
+    if (node.distinct) {
+        const collation = collationOf(node.args[0]), seen = new Set();
+        values = values.filter(v => {
+            const key = valueKey(v, collation);
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+    const extra = node.args.slice(1).map(a => evaluateExpression(a, contexts[0] || { lookup: () => undefined }));
+    return sqlAggregates[node.name](values, extra);
+}
+
+function runQuery(q, db, outer = null) {
+    return q.type === 'compound' ? runCompound(q, db, outer) : runSelect(q, db, outer);
+}
+
+// Runs one parsed SELECT (the statement itself, a derived table or a subquery)
+// and returns its projected rows. `outer` resolves columns of the enclosing query.
+// Clauses run in SQL's logical order:
+// FROM/JOIN -> WHERE -> GROUP BY -> HAVING -> WINDOW -> SELECT -> DISTINCT -> ORDER BY -> LIMIT
+function runSelect(p, db, outer = null) {
+    if (p.ctes.length) db = withCtes(p.ctes, db);
+    const scope = createScope(db, outer);
+    let rows = [{}];
+
+    // FROM unnest(...) inside a subquery may refer to the enclosing row
+    if (p.from) {
+        const name = sourceName(p.from);
+        rows = loadTable(p.from, name, db, rowContext({}, scope), outer);
+        addToScope(scope, name, rows);
+    }
+
+    // JOIN
+    for (const j of p.joins) {
+        const rightTable = sourceName(j.table);
+        if (isLateral(j.table)) {
+            rows = lateralJoin(rows, j, rightTable, scope);
+            continue;
+        }
+        const rightRows = loadTable(j.table, rightTable, db, null, outer);
+        const on = usingCondition(j, scope, rightTable, rightRows);
+        addToScope(scope, rightTable, rightRows);
+        checkTypes(on, scope);
+        rows = performJoin(rows, rightRows, { ...j, on }, scope);
+    }
+
+    // GROUP BY may name a select-list alias when no source column has that name
+    const aliases = new Map(p.columns.map(t => [t.alias, t.expr]));
+    const groupBy = p.groupBy.map(e => e.type === 'column' && e.path.length === 1 && !scope.columns.has(e.path[0])
+        && aliases.has(e.path[0]) ? aliases.get(e.path[0]) : e);
+
+    // Type check before any expression runs (string literals are converted here)
+    [p.where, ...p.groupBy, ...p.columns.map(t => t.expr), p.having, ...p.orderBy.map(o => o.expr)]
+        .forEach(expr => checkTypes(expr, scope));
+
+    // WHERE
+    if (p.where) {
+        rows = rows.filter(r => isTruthy(evaluateExpression(p.where, rowContext(r, scope))));
+    }
 
+    // Each item is a source row plus (once grouped) the aggregate values of its group
+    let items = rows.map(row => ({ row }));
+
+    // GROUP BY + AGG: every aggregate call in the select list, HAVING and ORDER BY
+    // (nested in expressions like sum(a) / count(*) or not projected at all)
+    const aggNodes = [
+        ...p.columns.flatMap(t => collectAggregates(t.expr)),
+        ...collectAggregates(p.having),
+        ...p.orderBy.flatMap(o => collectAggregates(o.expr))
+    ];
+    if (groupBy.length || aggNodes.length || p.having) {
+        const groups = new Map();
+        const groupCollations = groupBy.map(e => collationOf(e));
+        // Without GROUP BY the whole input is one group, even when it is empty
+        if (!groupBy.length) groups.set('[]', { row: rows[0] || {}, rows: [] });
+        rows.forEach(r => {
+            const k = groupKey(groupBy.map(e => evaluateExpression(e, rowContext(r, scope))), groupCollations);
+            if (!groups.has(k)) groups.set(k, { row: r, rows: [] });
+            groups.get(k).rows.push(r);
+        });
+        items = [...groups.values()].map(g => ({
+            row: g.row,
+            aggregates: new Map(aggNodes.map(node => {
+                const contexts = g.rows.map(r => rowContext(r, scope));
+                return [node, aggregateOver(node, contexts)];
+            }))
+        }));
+    }
+
+    const itemContext = (item) => rowContext(item.row, scope, { aggregates: item.aggregates, windows: item.windows });
+
+    // HAVING and ORDER BY may also name select-list aliases of aggregate and window expressions
+    const derivedByAlias = new Map(p.columns
+        .filter(t => collectAggregates(t.expr).length || collectWindows(t.expr).length)
+        .map(t => [t.alias, t.expr]));
+    const groupContext = (item) => {
+        const ctx = itemContext(item);
+        const lookup = ctx.lookup;
+        ctx.lookup = path => path.length === 1 && derivedByAlias.has(path[0])
+            ? evaluateExpression(derivedByAlias.get(path[0]), { ...ctx, lookup })
+            : lookup(path);
+        return ctx;
+    };
+
+    // HAVING
+    if (p.having) {
+        items = items.filter(item => isTruthy(evaluateExpression(p.having, groupContext(item))));
+    }
 
-    // DISTINCT (applied after SELECT, before ORDER BY/LIMIT behavior)
-    if (p.distinct && !p.groupBy) {
+    // WINDOW: after grouping and HAVING, so OVER (ORDER BY sum(x)) can use the group values
+    const windowNodes = [...p.columns, ...p.orderBy].flatMap(t => collectWindows(t.expr));
+    if (windowNodes.length) computeWindows(items, windowNodes, namedWindows(p.windows), itemContext);
+
+    // SELECT: each item keeps its source row so ORDER BY can still use unselected columns
+    items.forEach(item => {
+        item.out = projectRow(item.row, p.columns, scope, itemContext(item));
+    });
+
+    // DISTINCT (before ORDER BY / LIMIT, so LIMIT counts distinct rows)
+    if (p.distinct) {
         const seen = new Set();
-        result = result.filter(row => {
-            const key = JSON.stringify(row);
+        items = items.filter(item => {
+            const key = groupKey(Object.values(item.out));
             if (seen.has(key)) return false;
             seen.add(key);
             return true;
         });
     }
 
+    // ORDER BY: a bare name is a select-list alias before it is a source column, a whole
+    // number is a select-list position, anything else is evaluated against the source row
+    const orderBy = resolveOrdinals(p.orderBy, items.length ? outputColumns(p, items.map(item => item.out)) : null);
+    items = orderItems(items, orderBy, item => {
+        const ctx = groupContext(item);
+        const lookup = ctx.lookup;
+        ctx.lookup = path => path.length === 1 && Object.hasOwn(item.out, path[0]) ? item.out[path[0]] : lookup(path);
+        return ctx;
+    });
+
+    // LIMIT / OFFSET
+    items = applyLimit(items, p);
+
+    return items.map(item => item.out);
+}
+
+// --- INSERT / UPDATE / DELETE ---
+// They change the array resolvePath finds for the table, in place. Every new value and
+// RETURNING row is worked out before the first change, so a statement that fails leaves
+// the table as it was. The result is the RETURNING rows, or one row with the count.
+function targetTable(ref, db) {
+    const data = resolvePath(ref.path, db);
+    if (!Array.isArray(data)) throw new Error(`Table does not exist: ${ref.path}`);
+    return data;
+}
+
+// RETURNING runs over `tableRows` (namespaced): the table with the statement's new and
+// updated rows, so it sees columns the statement adds (deleted rows are still there)
+function changeResult(p, db, name, tableRows, changedRows) {
+    if (!p.returning) return [{ affected_rows: changedRows.length }];
+    const scope = createScope(db);
+    addToScope(scope, name, tableRows);
+    p.returning.forEach(t => checkTypes(t.expr, scope));
+    return changedRows.map(row => projectRow(row, p.returning, scope, rowContext(row, scope)));
+}
+
+function runInsert(p, db) {
+    const data = targetTable(p.table, db);
+    const name = sourceName(p.table);
+    const existing = loadTable(p.table, name, db);
+    const scope = createScope(db);
+    addToScope(scope, name, existing);
+    const typeOf = (column) => scope.types.get(`${name}.${column}`) || 'any';
+    const columns = p.columns || [...new Set(data.flatMap(r => Object.keys(r)))];
+    if (!columns.length) throw new Error(`INSERT INTO ${p.table.path} needs a column list`);
+    columns.forEach((c, i) => {
+        if (columns.indexOf(c) !== i) throw new Error(`Column ${c} is listed more than once in INSERT INTO ${p.table.path}`);
+    });
+
+    let sourceRows;
+    if (p.values) {
+        const valuesScope = createScope(db);
+        p.values.forEach(exprs => exprs.forEach((e, i) => {
+            const type = checkTypes(e, valuesScope);
+            if (i < columns.length) checkAssignment(e, type, typeOf(columns[i]), columns[i]);
+        }));
+        sourceRows = p.values.map(exprs => exprs.map(e => evaluateExpression(e, rowContext({}, valuesScope))));
+    } else {
+        // By select-list position: Object.values() would put aliases like "5" first
+        const rows = runQuery(p.query, db);
+        const names = outputColumns(p.query, rows) || [];
+        sourceRows = rows.map(r => names.map(c => r[c]));
+    }
+    const added = sourceRows.map(values => {
+        if (values.length !== columns.length) throw new Error(`INSERT has ${values.length} values for ${columns.length} columns`);
+        columns.forEach((c, i) => checkStoredValue(values[i], typeOf(c), c));
+        return Object.fromEntries(columns.map((c, i) => [c, values[i] ?? null]));
+    });
+
+    const addedRows = added.map(r => namespaceRow(r, name));
+    const result = changeResult(p, db, name, [...existing, ...addedRows], addedRows);
+    // One push per row: spreading a large INSERT ... SELECT into push() overflows the stack
+    added.forEach(r => data.push(r));
+    return result;
+}
+
+// A copy of `doc` with the value at `steps` replaced; containers on the way are
+// copied (or created when missing), so nothing changes until the copy is kept
+function withPath(doc, steps, value, target) {
+    if (!steps.length) return value;
+    const [step, ...rest] = steps;
+    const wantsArray = typeof step === 'number';
+    if (isMissing(doc)) doc = wantsArray ? [] : {};
+    if (typeof doc !== 'object' || Array.isArray(doc) !== wantsArray) {
+        throw new Error(`Cannot SET ${target}: ${JSON.stringify(doc)} is not ${wantsArray ? 'an array' : 'an object'}`);
+    }
+    const copy = Array.isArray(doc) ? [...doc] : { ...doc };
+    copy[step] = withPath(doc[step], rest, value, target);
+    return copy;
+}
+
+function runUpdate(p, db) {
+    const data = targetTable(p.table, db);
+    const name = sourceName(p.table);
+    const rows = loadTable(p.table, name, db);
+    const scope = createScope(db);
+    addToScope(scope, name, rows);
+    checkTypes(p.where, scope);
+    // `SET f.city = ...` may name the table first
+    const targets = p.set.map(a => a.path.length > 1 && a.path[0] === name && !scope.columns.has(name) ? a.path.slice(1) : a.path);
+    // Only whole columns have an inferred type; paths into a JSON value take anything
+    const targetTypes = targets.map(path => path.length === 1 ? scope.types.get(`${name}.${path[0]}`) || 'any' : 'any');
+    p.set.forEach((a, n) => checkAssignment(a.expr, checkTypes(a.expr, scope), targetTypes[n], targets[n].join('.')));
+
+    // Every SET expression sees the row as it was before the update
+    const updates = [];
+    rows.forEach((row, i) => {
+        const ctx = rowContext(row, scope);
+        if (p.where && !isTruthy(evaluateExpression(p.where, ctx))) return;
+        const values = p.set.map(a => evaluateExpression(a.expr, ctx) ?? null);
+        values.forEach((v, n) => checkStoredValue(v, targetTypes[n], targets[n].join('.')));
+        updates.push({ i, row: targets.reduce((doc, path, n) => withPath(doc, path, values[n], path.join('.')), data[i]) });
+    });
+
+    const after = [...rows];
+    updates.forEach(u => { after[u.i] = namespaceRow(u.row, name); });
+    const result = changeResult(p, db, name, after, updates.map(u => after[u.i]));
+    updates.forEach(u => Object.assign(data[u.i], u.row));
+    return result;
+}
+
+function runDelete(p, db) {
+    const data = targetTable(p.table, db);
+    const name = sourceName(p.table);
+    const rows = loadTable(p.table, name, db);
+    const scope = createScope(db);
+    addToScope(scope, name, rows);
+    checkTypes(p.where, scope);
+
+    const doomed = new Set();
+    rows.forEach((row, i) => {
+        if (!p.where || isTruthy(evaluateExpression(p.where, rowContext(row, scope)))) doomed.add(i);
+    });
+
+    const result = changeResult(p, db, name, rows, rows.filter((_, i) => doomed.has(i)));
+    // Compact in place: spreading a large table into splice() overflows the stack
+    let kept = 0;
+    data.forEach((r, i) => {
+        if (!doomed.has(i)) data[kept++] = r;
+    });
+    data.length = kept;
+    return result;
+}
+
+const changeStatements = { insert: runInsert, update: runUpdate, delete: runDelete };
+
+// WITH(OutputNested) / FOR JSON: a dotted column name is a path into nested objects,
+// so `AS "address.city"` and `AS "address.zip"` build { address: { city, zip } }
+function nestRow(row) {
+    const out = {};
+    const built = new Set([out]);
+    Object.entries(row).forEach(([name, v]) => {
+        const parts = name.split('.');
+        let target = out;
+        parts.forEach((part, i) => {
+            const clash = Object.hasOwn(target, part) && (i === parts.length - 1 || !built.has(target[part]));
+            if (clash) throw new Error(`Column "${name}" conflicts with another column at "${parts.slice(0, i + 1).join('.')}" in nested output`);
+            if (i === parts.length - 1) target[part] = v;
+            else {
+                if (!Object.hasOwn(target, part)) built.add(target[part] = {});
+                target = target[part];
+            }
+        });
+    });
+    return out;
+}
+
+async function executeQuery(sql, db) {
+    const p = parseSQL(sql);
+    // A view of its own: the subquery cache lives and dies with this statement
+    db = Object.create(db);
+    let result = Object.hasOwn(changeStatements, p.type) ? changeStatements[p.type](p, db) : runQuery(p, db);
 
     // HINTS
     if (p.hints.includes('headercolumnuppercase'))
         result = result.map(r => Object.fromEntries(Object.entries(r).map(([k, v]) => [k.toUpperCase(), v])));
 
+    if (p.hints.includes('outputnested')) result = result.map(nestRow);
+
     if (p.hints.includes('paginate')) await displayWithPager(result);
 
     if (p.hints.includes('outputjson')) return JSON.stringify(result, null, 2);
@@ -342,7 +1163,7 @@ async function executeQuery(sql, db) {
 
 
 // ==================================================
-// 5. FORMATTER
+// 6. FORMATTER
 // ==================================================
 async function displayWithPager(allRows, pageSize = 5) {
     if (!allRows || allRows.length === 0) {
@@ -376,16 +1197,23 @@ async function displayWithPager(allRows, pageSize = 5) {
 function formatAsMySQLTable(rows) {
     if (!rows.length) return 'Empty set';
     const cols = Object.keys(rows[0]);
-    const w = {}; cols.forEach(c => w[c] = Math.max(c.length, ...rows.map(r => String(r[c]).length)));
+    // NULL is only spelled out here; arrays and objects (array_agg, json_agg) are shown as
+    // JSON, intervals as their text
+    const cell = v => {
+        if (v === null || v === undefined) return 'NULL';
+        if (typeof v !== 'object') return String(v);
+        return typeof v.toJSON === 'function' ? v.toJSON() : JSON.stringify(v);
+    };
+    const w = {}; cols.forEach(c => w[c] = Math.max(c.length, ...rows.map(r => cell(r[c]).length)));
     const line = () => '+' + cols.map(c => '-'.repeat(w[c] + 2)).join('+') + '+';
-    const row = v => '| ' + v.map((x, i) => String(x).padEnd(w[cols[i]])).join(' | ') + ' |';
+    const row = v => '| ' + v.map((x, i) => cell(x).padEnd(w[cols[i]])).join(' | ') + ' |';
     let out = line() + '\n' + row(cols) + '\n' + line() + '\n';
     rows.forEach(r => out += row(cols.map(c => r[c])) + '\n');
     return out + line();
 }
 
 // ==================================================
-// 6. TEST CASES
+// 7. TEST CASES
 // ==================================================
 const db = {
     friends: [
@@ -406,8 +1234,43 @@ const db = {
         { name: "Laura", city: "Atlanta", countryCode: "USA", "age": 50 },
         { name: "Mia", city: "LONDON", countryCode: "UK", "age": 50 },
     ],
+    parcels: [
+        { id: 1, zip: "10001", code: "007", weight: "2.5", shipped: "2024-03-01", paid: "yes" },
+        { id: 2, zip: "02134", code: "7", weight: "0.75", shipped: "2024-02-28", paid: "no" },
+        { id: 3, zip: "9021", code: "n/a", weight: "12", shipped: "2024-03-01T18:30:00Z", paid: "yes" }
+    ],
+    orders: [
+        {
+            id: 1, customer: { name: "Ada", address: { city: "London", zip: "N1 9GU" } }, tags: ["gift", "express"],
+            items: [{ sku: "A-1", qty: 2, price: 9.5 }, { sku: "B-7", qty: 1, price: 24 }, { sku: "C-3", qty: 4, price: 1.25 }],
+            meta: { source: { channel: "web", campaign: "spring" }, rating: 5 }
+        },
+        {
+            id: 2, customer: { name: "Linus", address: { city: "Helsinki" } }, tags: [],
+            items: [{ sku: "B-7", qty: 3, price: 24 }], meta: '{"source": {"channel": "app"}, "rating": 4}'
+        },
+        { id: 3, customer: { name: "Grace", address: null }, tags: ["express"], items: [], meta: null }
+    ],
+    words: [{ word: "zoo" }, { word: "apple" }, { word: "Zebra" }, { word: "Äpfel" }],
     cities: [{ cityName: "New York" }, { cityName: "Atlanta" }, { cityName: "Tokyo" }, { cityName: "Bejing" }],
-    countries: [{ code: "USA", countryName: "United States" }, { code: "JPN", countryName: "Japan" }]
+    countries: [{ code: "USA", countryName: "United States" }, { code: "JPN", countryName: "Japan" }],
+    ageBands: [{ band: "under 40", low: 0, high: 39 }, { band: "40 and over", low: 40, high: 200 }],
+    cityCountries: [{ city: "Tokyo", country: "Japan" }, { city: "Atlanta", country: "USA" }, { city: "Paris", country: "France" }],
+    employees: [
+        { id: 1, name: "Grace", managerId: null },
+        { id: 2, name: "Alan", managerId: 1 },
+        { id: 3, name: "Ada", managerId: 1 },
+        { id: 4, name: "Linus", managerId: 2 }
+    ],
+    sales: [
+        { region: "East", month: 1, amount: 100 },
+        { region: "East", month: 2, amount: 150 },
+        { region: "East", month: 3, amount: 120 },
+        { region: "East", month: 4, amount: 150 },
+        { region: "West", month: 1, amount: 80 },
+        { region: "West", month: 2, amount: 90 },
+        { region: "West", month: 3, amount: 200 }
+    ]
 };
 
 // (async()=>{
@@ -423,11 +1286,11 @@ const db = {
 // })();
 
 // ===============================
-// 6. RUN TESTS (EXTENDED COVERAGE)
+// 7. RUN TESTS (EXTENDED COVERAGE)
 // ===============================
 
 
-(async () => {
+async function runTests() {
     console.log("=== TEST 1: Simple SELECT ===");
     console.log(formatAsMySQLTable(await executeQuery(
         "SELECT name, city FROM friends",
@@ -537,4 +1400,372 @@ const db = {
         FULL OUTER JOIN cities ON city = cityName`,
         db
     ));
-})();
+    console.log("=== TEST 16: WHERE with parentheses and functions ===");
+    console.log(formatAsMySQLTable(await executeQuery(
+        "SELECT name, city FROM friends WHERE (city = 'Tokyo' OR city = 'Atlanta') AND length(name) > 4",
+        db
+    )));
+    console.log("=== TEST 17: WHERE with NOT, IN and quoted 'and' ===");
+    console.log(formatAsMySQLTable(await executeQuery(
+        "SELECT name, city FROM friends WHERE name = 'Tom and Jerry' OR NOT countryCode IN ('USA', 'JPN')",
+        db
+    )));
+    console.log("=== TEST 18: Hash JOIN on expression keys ===");
+    console.log(formatAsMySQLTable(await executeQuery(
+        "SELECT name, countryName FROM friends JOIN countries ON lower(countryCode) = lower(code) LIMIT 3",
+        db
+    )));
+    console.log("=== TEST 19: Multi-column and range JOIN ON ===");
+    console.log(formatAsMySQLTable(await executeQuery(
+        `SELECT name, countryName, band
+        FROM friends
+        JOIN countries ON countryCode = code AND countryName <> 'Japan'
+        JOIN ageBands ON age BETWEEN low AND high
+        LIMIT 3`,
+        db
+    )));
+    console.log("=== TEST 20: CROSS JOIN and comma join ===");
+    console.log(formatAsMySQLTable(await executeQuery(
+        "SELECT code, cityName FROM countries CROSS JOIN cities WHERE code = 'JPN'",
+        db
+    )));
+    console.log(formatAsMySQLTable(await executeQuery(
+        "SELECT name, countryName FROM friends, countries WHERE countryCode = code AND city = 'Atlanta'",
+        db
+    )));
+    console.log("=== TEST 21: JOIN USING and NATURAL JOIN ===");
+    console.log(formatAsMySQLTable(await executeQuery(
+        "SELECT name, city, country FROM friends JOIN cityCountries USING (city) LIMIT 3",
+        db
+    )));
+    console.log(formatAsMySQLTable(await executeQuery(
+        "SELECT name, cityCountries.city, country FROM friends NATURAL RIGHT JOIN cityCountries",
+        db
+    )));
+
+    console.log("=== TEST 22: Table aliases and self-join ===");
+    console.log(formatAsMySQLTable(await executeQuery(
+        "SELECT e.name, mgr.name AS manager FROM data.employees e LEFT JOIN data.employees AS mgr ON e.managerId = mgr.id ORDER BY e.id",
+        db
+    )));
+    for (const bad of [
+        "SELECT name FROM employees e JOIN employees mgr ON e.managerId = mgr.id",
+        "SELECT e.name FROM employees e JOIN employees ON e.managerId = employees.id JOIN employees ON 1 = 1"
+    ]) {
+        try {
+            await executeQuery(bad, db);
+        } catch (err) {
+            console.log(`Rejected: ${err.message}`);
+        }
+    }
+
+    console.log("=== TEST 23: Subqueries (derived table, IN, EXISTS, scalar, correlated) ===");
+    console.log(formatAsMySQLTable(await executeQuery(
+        "SELECT t.city, t.total FROM (SELECT city, count(*) AS total FROM friends GROUP BY city) AS t WHERE t.total > 3",
+        db
+    )));
+    console.log(formatAsMySQLTable(await executeQuery(
+        "SELECT name, city FROM friends WHERE city NOT IN (SELECT cityName FROM cities)",
+        db
+    )));
+    console.log(formatAsMySQLTable(await executeQuery(
+        `SELECT e.name, (SELECT m.name FROM employees m WHERE m.id = e.managerId) AS manager
+         FROM employees e
+         WHERE EXISTS (SELECT 1 FROM employees r WHERE r.managerId = e.id)`,
+        db
+    )));
+    console.log(formatAsMySQLTable(await executeQuery(
+        "SELECT e.name, (SELECT count(*) FROM (SELECT id FROM employees r WHERE r.managerId = e.id) AS reports) AS reports FROM employees e",
+        db
+    )));
+
+    console.log("=== TEST 24: WITH and WITH RECURSIVE ===");
+    console.log(formatAsMySQLTable(await executeQuery(
+        "WITH tokyo AS (SELECT name, age FROM friends WHERE city = 'Tokyo') SELECT name FROM tokyo LIMIT 2 WITH(HeaderColumnUpperCase)",
+        db
+    )));
+    console.log(formatAsMySQLTable(await executeQuery(
+        `WITH RECURSIVE chain(id, name, depth) AS (
+             SELECT id, name, 0 FROM employees WHERE id = 1
+             UNION ALL
+             SELECT e.id, e.name, c.depth + 1 FROM employees e JOIN chain c ON e.managerId = c.id
+         )
+         SELECT name, depth FROM chain ORDER BY depth, name`,
+        db
+    )));
+
+    console.log("=== TEST 25: UNION, INTERSECT and EXCEPT ===");
+    console.log(formatAsMySQLTable(await executeQuery(
+        "SELECT city FROM friends UNION SELECT cityName FROM cities UNION ALL SELECT city FROM cityCountries ORDER BY city DESC LIMIT 5",
+        db
+    )));
+    console.log(formatAsMySQLTable(await executeQuery(
+        "SELECT cityName AS city FROM cities INTERSECT SELECT city FROM cityCountries EXCEPT SELECT 'Tokyo'",
+        db
+    )));
+    try {
+        await executeQuery("SELECT name, city FROM friends UNION SELECT cityName FROM cities", db);
+    } catch (err) {
+        console.log(`Rejected: ${err.message}`);
+    }
+
+    console.log("=== TEST 26: HAVING ===");
+    console.log(formatAsMySQLTable(await executeQuery(
+        "SELECT city, count(*) AS total FROM friends GROUP BY city HAVING count(*) > 2 AND avg(age) <= 50 ORDER BY total DESC",
+        db
+    )));
+    console.log(formatAsMySQLTable(await executeQuery(
+        "SELECT countryCode FROM friends GROUP BY countryCode HAVING sum(age) > 100",
+        db
+    )));
+
+    console.log("=== TEST 27: Aggregate expressions and DISTINCT ===");
+    console.log(formatAsMySQLTable(await executeQuery(
+        `SELECT countryCode, count(DISTINCT city) AS cities, sum(age - 20) AS years_over_20,
+                sum(age) / count(*) AS mean_age, max(length(name)) + 1 AS longest
+         FROM friends GROUP BY countryCode ORDER BY count(DISTINCT city) DESC, countryCode`,
+        db
+    )));
+
+    console.log("=== TEST 28: Aggregates without GROUP BY ===");
+    console.log(formatAsMySQLTable(await executeQuery(
+        "SELECT count(*) AS friends, count(DISTINCT city) AS cities, avg(age) AS avg_age FROM friends",
+        db
+    )));
+    console.log(formatAsMySQLTable(await executeQuery(
+        "SELECT count(*) AS total, sum(age) AS age_sum FROM friends WHERE city = 'Paris'",
+        db
+    )));
+
+    console.log("=== TEST 29: Extended aggregates ===");
+    console.log(formatAsMySQLTable(await executeQuery(
+        `SELECT countryCode, string_agg(name, ', ' ORDER BY name) AS names, array_agg(DISTINCT city) AS cities,
+                median(length(name)) AS median_len, percentile_cont(length(name), 0.9) AS p90_len,
+                stddev(length(name)) AS sd_len, mode(city) AS top_city, bool_and(age = 50) AS all_50
+         FROM friends GROUP BY countryCode ORDER BY countryCode`,
+        db
+    )));
+    console.log(formatAsMySQLTable(await executeQuery(
+        "SELECT json_agg(name ORDER BY id DESC) AS staff, variance(id) AS var_id, bool_or(managerId = 2) AS any_under_alan FROM employees",
+        db
+    )));
+
+    console.log("=== TEST 30: Window functions and frames ===");
+    console.log(formatAsMySQLTable(await executeQuery(
+        `SELECT region, month, amount,
+                sum(amount) OVER (PARTITION BY region ORDER BY month ROWS BETWEEN 2 PRECEDING AND CURRENT ROW) AS rolling_3,
+                sum(amount) OVER w AS running,
+                lag(amount) OVER w AS prev, lead(amount, 1, 0) OVER w AS next,
+                first_value(amount) OVER w AS first_amt,
+                last_value(amount) OVER (w ROWS BETWEEN UNBOUNDED PRECEDING AND UNBOUNDED FOLLOWING) AS last_amt,
+                nth_value(amount, 2) OVER w AS second_amt
+         FROM sales
+         WINDOW w AS (PARTITION BY region ORDER BY month)
+         ORDER BY region, month`,
+        db
+    )));
+    console.log(formatAsMySQLTable(await executeQuery(
+        `SELECT region, month, amount,
+                rank() OVER (ORDER BY amount DESC) AS rnk, dense_rank() OVER (ORDER BY amount DESC) AS dense,
+                ntile(3) OVER (ORDER BY amount DESC) AS tile, percent_rank() OVER (ORDER BY amount) AS pct,
+                cume_dist() OVER (ORDER BY amount) AS cume,
+                count(*) OVER (ORDER BY amount RANGE BETWEEN 20 PRECEDING AND 20 FOLLOWING) AS within_20
+         FROM sales ORDER BY rnk, region, month`,
+        db
+    )));
+    // A NULL ORDER BY key is only within range of the other NULLs
+    console.log(formatAsMySQLTable(await executeQuery(
+        `SELECT id, managerId, count(*) OVER (ORDER BY managerId RANGE BETWEEN 1 PRECEDING AND 1 FOLLOWING) AS near,
+                min(id) OVER (ORDER BY managerId RANGE BETWEEN CURRENT ROW AND 5 FOLLOWING) AS lowest
+         FROM employees ORDER BY id`,
+        db
+    )));
+
+    console.log("=== TEST 31: Windows over groups, DISTINCT before LIMIT ===");
+    console.log(formatAsMySQLTable(await executeQuery(
+        `SELECT region, sum(amount) AS total, rank() OVER (ORDER BY sum(amount) DESC) AS sales_rank,
+                row_number() OVER () AS input_order
+         FROM sales GROUP BY region ORDER BY region DESC LIMIT 2`,
+        db
+    )));
+    console.log(formatAsMySQLTable(await executeQuery(
+        "SELECT DISTINCT city FROM friends ORDER BY city LIMIT 3",
+        db
+    )));
+
+    console.log("=== TEST 32: ORDER BY aliases, positions and NULLS FIRST ===");
+    console.log(formatAsMySQLTable(await executeQuery(
+        "SELECT name, managerId AS boss, length(name) AS len FROM employees ORDER BY boss DESC NULLS LAST, 3, name",
+        db
+    )));
+    console.log(formatAsMySQLTable(await executeQuery(
+        "SELECT region, month, amount FROM sales ORDER BY 3 DESC, region NULLS FIRST LIMIT 4",
+        db
+    )));
+    console.log(formatAsMySQLTable(await executeQuery(
+        "SELECT city FROM friends UNION SELECT cityName FROM cities ORDER BY 1 DESC LIMIT 3",
+        db
+    )));
+
+    console.log("=== TEST 33: Collations ===");
+    console.log(formatAsMySQLTable(await executeQuery(
+        "SELECT name, city FROM friends WHERE city = 'london' OR city COLLATE nocase IN ('paris', 'LONDON')",
+        db
+    )));
+    console.log(formatAsMySQLTable(await executeQuery(
+        `SELECT word, row_number() OVER (ORDER BY word) AS binary_pos,
+                row_number() OVER (ORDER BY word COLLATE nocase) AS nocase_pos
+         FROM words ORDER BY word COLLATE 'de-DE'`,
+        db
+    )));
+    setDefaultCollation('nocase');
+    console.log(formatAsMySQLTable(await executeQuery(
+        "SELECT count(*) AS londoners, min(city) AS first_city FROM friends WHERE city = 'london' OR city LIKE 'atl%'",
+        db
+    )));
+    // Groups and DISTINCT follow the collation too
+    const visits = { visits: [{ city: "London" }, { city: "LONDON" }, { city: "Paris" }] };
+    console.log(formatAsMySQLTable(await executeQuery(
+        "SELECT city, count(*) AS visits, (SELECT count(DISTINCT city) FROM visits) AS cities FROM visits GROUP BY city",
+        visits
+    )));
+    setDefaultCollation('binary');
+
+    console.log("=== TEST 34: NULL and three-valued logic ===");
+    console.log(formatAsMySQLTable(await executeQuery(
+        `SELECT name, managerId, managerId + 1 AS next_id, nullif(name, 'Ada') AS not_ada, coalesce(managerId, 0) AS boss
+         FROM employees WHERE managerId IS NULL OR managerId IS DISTINCT FROM 2 ORDER BY id`,
+        db
+    )));
+    console.log(formatAsMySQLTable(await executeQuery(
+        `SELECT name, managerId NOT IN (2) AS not_under_alan, managerId IN (2, NULL) AS in_with_null,
+                NOT (managerId > 1) AS not_gt_1, managerId IS NOT DISTINCT FROM NULL AS no_manager
+         FROM employees WHERE managerId NOT IN (2) OR name = 'Linus' ORDER BY id`,
+        db
+    )));
+    console.log(formatAsMySQLTable(await executeQuery(
+        "SELECT 'NULL' AS text_null, NULL AS real_null, 'NULL' IS NULL AS text_is_null, upper(NULL) || 'x' AS propagated",
+        db
+    )));
+    console.log("=== TEST 35: Types, CAST / TRY_CAST / :: ===");
+    console.log(formatAsMySQLTable(await executeQuery(
+        `SELECT zip, code, TRY_CAST(code AS integer) AS code_num, CAST(weight AS decimal(6, 1)) * 2 AS double_weight,
+                shipped::date AS day, paid::boolean AS paid
+         FROM parcels WHERE code = '007' OR TRY_CAST(code AS int) = 7 OR shipped > '2024-03-01' ORDER BY zip`,
+        db
+    )));
+    for (const bad of [
+        "SELECT zip FROM parcels WHERE code = 7",
+        "SELECT zip FROM parcels WHERE id > 'two'",
+        "SELECT zip + 1 FROM parcels",
+        "SELECT CAST('soon' AS date)",
+        "SELECT code::money FROM parcels",
+        "SELECT CAST(code AS integer) FROM parcels",
+        "SELECT sum(code) FROM parcels"
+    ]) {
+        try {
+            await executeQuery(bad, db);
+        } catch (err) {
+            console.log(`Rejected: ${err.message}`);
+        }
+    }
+
+    console.log("=== TEST 36: Dates, intervals and time zones ===");
+    console.log(formatAsMySQLTable(await executeQuery(
+        `SELECT id, shipped, date_trunc('month', shipped) AS month, EXTRACT(dow FROM shipped) AS dow,
+                shipped + INTERVAL '7 days' AS due, date_diff('hour', '2024-02-28', shipped) AS hours,
+                format_date(shipped, '%a %d %b %Y %H:%M') AS label, timezone('Asia/Tokyo', shipped) AS tokyo
+         FROM parcels WHERE shipped >= '2024-02-29' OR shipped < '2024-02-28T12:00:00+02:00' ORDER BY shipped DESC`,
+        db
+    )));
+    console.log(formatAsMySQLTable(await executeQuery(
+        `SELECT date_add('2024-01-31', INTERVAL '1 month') AS next_month, INTERVAL '1 day 2 hours' * 3 AS span,
+                '2024-03-10T12:00:00Z'::timestamp - '2024-03-01'::date AS elapsed`,
+        db
+    )));
+    // A date compares with a timestamp literal at midnight; the literal keeps its time
+    console.log(formatAsMySQLTable(await executeQuery(
+        "SELECT id, shipped::date AS day FROM parcels WHERE shipped::date < '2024-02-28T12:00:00Z' OR shipped::date = '2024-03-01T23:00:00Z'",
+        db
+    )));
+
+    console.log("=== TEST 37: Nested JSON paths ===");
+    console.log(formatAsMySQLTable(await executeQuery(
+        `SELECT id, customer.name AS name, o.customer.address.city AS city, items[0].sku, o.items[2].qty AS third_qty,
+                tags[0] AS first_tag, meta->'source'->>'channel' AS channel, json_extract(meta, '$.source.campaign') AS campaign,
+                json_value(customer, '$.address.zip') AS zip, json_extract(o.customer, '$.address') AS address
+         FROM orders o WHERE meta->'rating' >= 4 OR customer.address IS NULL ORDER BY customer.address.city NULLS LAST`,
+        db
+    )));
+    console.log(formatAsMySQLTable(await executeQuery(
+        `SELECT customer.name, items[0].price * items[0].qty AS first_line FROM orders
+         WHERE items[0].sku = 'B-7' OR tags[1] = 'express'`,
+        db
+    )));
+
+    console.log("=== TEST 38: UNNEST, LATERAL and JSON table functions ===");
+    console.log(formatAsMySQLTable(await executeQuery(
+        `SELECT o.id, i.ordinality AS line, i.sku, i.qty * i.price AS amount, t.value AS tag
+         FROM orders o CROSS JOIN unnest(o.items) WITH ORDINALITY AS i LEFT JOIN unnest(o.tags) AS t ON t.value = 'gift'
+         ORDER BY o.id, line`,
+        db
+    )));
+    console.log(formatAsMySQLTable(await executeQuery(
+        `SELECT o.id, customer.name, top.sku AS biggest_line, (SELECT count(*) FROM json_array_elements(o.tags)) AS tags
+         FROM orders o LEFT JOIN LATERAL (SELECT sku FROM unnest(o.items) ORDER BY qty * price DESC LIMIT 1) AS top ON true`,
+        db
+    )));
+    console.log(formatAsMySQLTable(await executeQuery(
+        `SELECT o.id, e.key, e.value FROM orders o, json_each(o.meta) AS e WHERE e.key <> 'rating'`,
+        db
+    )));
+
+    console.log("=== TEST 39: json_object / json_array and FOR JSON ===");
+    console.log(formatAsMySQLTable(await executeQuery(
+        `SELECT id, json_object('name', customer.name, 'city', customer.address.city) AS who, json_array(id, tags[0], meta->'rating') AS facts
+         FROM orders`,
+        db
+    )));
+    console.log(await executeQuery(
+        `SELECT o.id AS "order.id", customer.name AS "order.customer.name", customer.address.city AS "order.customer.city",
+                json_agg(json_object('sku', i.sku, 'qty', i.qty) ORDER BY i.sku) AS "order.lines", sum(i.qty * i.price) AS "order.total"
+         FROM orders o CROSS JOIN unnest(o.items) AS i GROUP BY o.id, customer.name, customer.address.city ORDER BY o.id
+         FOR JSON PATH`,
+        db
+    ));
+
+    console.log("=== TEST 40: INSERT / UPDATE / DELETE ===");
+    const fixtures = { staff: structuredClone(db.employees), alumni: [] };
+    const changes = [
+        "INSERT INTO data.staff (id, name, managerId) VALUES (10, 'Ada', 1), (11, 'Linus', 10)",
+        "UPDATE data.staff SET name = upper(name), profile.team = 'kernel' WHERE managerId = 10 RETURNING id, name, profile",
+        "INSERT INTO alumni (id, name) SELECT id, name FROM data.staff WHERE managerId IS NULL OR id >= 10 RETURNING *",
+        "INSERT INTO alumni (id, rnk) SELECT id, 5 FROM data.staff WHERE id = 11 RETURNING id, rnk",
+        "DELETE FROM data.staff WHERE id IN (SELECT id FROM alumni) RETURNING name"
+    ];
+    for (const sql of changes) console.log(formatAsMySQLTable(await executeQuery(sql, fixtures)));
+    console.log(formatAsMySQLTable(await executeQuery("SELECT (SELECT count(*) FROM staff) AS staff, count(*) AS alumni FROM alumni", fixtures)));
+    for (const bad of [
+        "INSERT INTO data.staff (id, name) VALUES (12, 'Grace', 'extra')",
+        "UPDATE data.staff SET id = 'ten' WHERE name = 'Alan'",
+        "UPDATE data.staff SET managerId = name"
+    ]) {
+        try {
+            await executeQuery(bad, fixtures);
+        } catch (err) {
+            console.log(`Rejected: ${err.message}`);
+        }
+    }
+
+    console.log("=== TEST 41: SELECT * over outer joins ===");
+    const sides = { a: [{ k: 1, x: "a1" }, { k: 2, x: "a2" }], b: [{ k: 2, y: "b2" }, { k: 3, y: "b3" }] };
+    for (const type of ["LEFT", "RIGHT", "FULL"]) {
+        console.log(formatAsMySQLTable(await executeQuery(`SELECT * FROM a ${type} JOIN b ON a.k = b.k`, sides)));
+    }
+    console.log(formatAsMySQLTable(await executeQuery("SELECT * FROM a FULL JOIN b USING (k)", sides)));
+}
+
+// The join planner is shared with index.js, which keeps its own parser
+module.exports = { executeQuery, formatAsMySQLTable, setDefaultCollation, createScope, addToScope, performJoin, hashMatch };
+
+if (require.main === module) runTests();
@@ -1,4 +1,5 @@
 const readline = require('readline');
+const { hashMatch } = require('./chatgpt');
 
 // --- 1. REGISTRIES & HELPERS ---
 const sqlFunctions = {
@@ -177,19 +178,18 @@ async function executeQuery(sql, rootData) {
         const nextTableData = resolvePath(joinDef.tablePath, rootData);
         const nextTableName = joinDef.tablePath.split('.').pop();
         const [leftCol, rightCol] = joinDef.condition.split('=').map(c => c.trim());
-        const newRows = [];
-
-        rows.forEach(existingRow => {
-            const lookupValue = existingRow[leftCol] ?? existingRow[leftCol.split('.').pop()];
-            nextTableData.forEach(m => {
-                if (String(lookupValue) === String(m[rightCol])) {
-                    const namespacedMatch = {};
-                    Object.keys(m).forEach(k => namespacedMatch[`${nextTableName}.${k}`] = m[k]);
-                    newRows.push({ ...existingRow, ...m, ...namespacedMatch });
-                }
-            });
+        const joinRows = nextTableData.map(m => {
+            const namespacedMatch = {};
+            Object.keys(m).forEach(k => namespacedMatch[`${nextTableName}.${k}`] = m[k]);
+            return { ...m, ...namespacedMatch };
         });
-        rows = newRows;
+
+        // Hash join on the text of both keys (the smaller side is the build side)
+        const matches = hashMatch(
+            rows.map(existingRow => String(existingRow[leftCol] ?? existingRow[leftCol.split('.').pop()])),
+            nextTableData.map(m => String(m[rightCol]))
+        );
+        rows = rows.flatMap((existingRow, i) => matches[i].map(ri => ({ ...existingRow, ...joinRows[ri] })));
     }
 
     // ... (Data Loading & Joins)
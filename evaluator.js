@@ -0,0 +1,1162 @@
+/*
+====================================================
+ EXPRESSION EVALUATOR
+====================================================
+Walks the expression nodes produced by neoParser.js.
+Shared by WHERE, HAVING and JOIN ON so every clause
+gets the same precedence, parentheses and function
+call handling. Also home of the aggregate registry
+used by the GROUP BY paths of the engines.
+
+Nothing is compiled to JavaScript: unknown functions
+and malformed input raise errors instead of running.
+
+The caller supplies a context:
+    ctx.lookup(path)   -> value of a column reference
+    ctx.aggregates     -> optional Map(functionNode -> value)
+    ctx.windows        -> optional Map(windowNode -> value)
+    ctx.subquery(q)    -> optional; runs a nested SELECT and
+                          returns its result rows
+
+Text compares as binary (case-sensitive) unless a COLLATE
+clause or setDefaultCollation() picks another collation.
+
+Values carry SQL types (see TYPES): numbers never equal
+text, so "007" and 7 are different values. inferType()
+checks an expression against column types before it runs.
+Dates and timestamps are ISO strings compared by instant;
+intervals are Interval objects (see DATES AND TIMES).
+Nested objects and arrays are reached with json_extract(),
+-> / ->> and the engine's column paths (see JSON).
+
+Missing values are JavaScript null (or undefined). Conditions
+use SQL's three-valued logic: true, false or null (unknown),
+and only true passes WHERE, HAVING and ON.
+====================================================
+*/
+
+// ==================================================
+// 1. SCALAR FUNCTION REGISTRY
+// ==================================================
+const sqlFunctions = {
+    // Every Math function (abs, sqrt, log10, pow, ...) is exposed under its lowercase name
+    ...Object.getOwnPropertyNames(Math).reduce((acc, name) => {
+        if (typeof Math[name] === 'function') {
+            acc[name.toLowerCase()] = (args) => Math[name](...args.map(a => parseFloat(a || 0)));
+        }
+        return acc;
+    }, {}),
+    mod: ([a, b]) => parseFloat(a || 0) % parseFloat(b || 1),
+    upper: ([v]) => String(v ?? '').toUpperCase(),
+    lower: ([v]) => String(v ?? '').toLowerCase(),
+    initcap: ([v]) => String(v ?? '').replace(/\b\w/g, c => c.toUpperCase()),
+    coalesce: (args) => args.find(v => !isMissing(v)) ?? null,
+    nullif: ([a, b]) => applyComparison('=', a, b) ? null : a,
+    // Substring search follows the arguments' collation, like LIKE does (case-sensitive when binary)
+    contains: ([s, sub], collation) => foldCase(s, collation).includes(foldCase(sub, collation)),
+    instr: ([s, sub], collation) => foldCase(s, collation).indexOf(foldCase(sub, collation)) + 1,
+    length: ([v]) => String(v ?? '').length,
+    substr: ([s, start, len]) => String(s ?? '').substr((parseInt(start) || 1) - 1, len !== undefined ? parseInt(len) : undefined),
+    trim: ([v]) => String(v ?? '').trim(),
+    lpad: ([s, len, pad = ' ']) => String(s ?? '').padStart(Number(len), String(pad)),
+    rpad: ([s, len, pad = ' ']) => String(s ?? '').padEnd(Number(len), String(pad)),
+    replace: ([s, search, replacement]) => String(s ?? '').split(String(search ?? '')).join(String(replacement ?? '')),
+    concat: (args) => args.map(v => v ?? '').join(''),
+    // Dates and times (see DATES AND TIMES below)
+    now: () => new Date().toISOString(),
+    date_trunc: ([unit, v]) => truncTemporal(unit, requireTemporal(v, 'date_trunc')),
+    date_part: ([unit, v]) => datePart(unit, requireTemporal(v, 'date_part')),
+    date_add: ([v, amount]) => shiftTemporal(requireTemporal(v, 'date_add'), toInterval(amount)),
+    date_diff: ([unit, start, end]) => dateDiff(unit, requireTemporal(start, 'date_diff'), requireTemporal(end, 'date_diff')),
+    format_date: ([v, format]) => formatDate(requireTemporal(v, 'format_date'), String(format)),
+    timezone: ([zone, v]) => inTimeZone(requireTemporal(v, 'timezone'), zone),
+    // JSON documents (see JSON below)
+    json_extract: ([doc, path]) => walkJson(jsonDocument(doc), parseJsonPath(path)),
+    json_value: ([doc, path]) => {
+        const v = walkJson(jsonDocument(doc), parseJsonPath(path));
+        return typeof v === 'object' ? null : String(v);
+    },
+    json_object: (args) => {
+        if (args.length % 2) throw new Error('json_object() takes key / value pairs');
+        const o = {};
+        for (let i = 0; i < args.length; i += 2) {
+            if (isMissing(args[i])) throw new Error('json_object() keys cannot be NULL');
+            o[String(args[i])] = args[i + 1] ?? null;
+        }
+        return o;
+    },
+    json_array: (args) => args.map(v => v ?? null)
+};
+
+// Every other scalar function returns NULL when one of its arguments is NULL
+const nullTolerantFunctions = new Set(['coalesce', 'nullif', 'concat', 'random', 'json_object', 'json_array']);
+
+// Bare identifiers that are not columns: SELECT log(e), sin(pi / 2), current_date
+const sqlConstants = {
+    e: Math.E,
+    pi: Math.PI,
+    get current_date() { return new Date().toISOString().slice(0, 10); },
+    get current_timestamp() { return new Date().toISOString(); }
+};
+const constantTypes = { e: 'double', pi: 'double', current_date: 'date', current_timestamp: 'timestamp' };
+
+// ==================================================
+// 1b. AGGREGATE REGISTRY
+// ==================================================
+// Each aggregate receives the values of one group (in ORDER BY order when the
+// call has one) and the remaining, constant arguments: string_agg(name, ', ').
+const present = (vals) => vals.filter(v => !isMissing(v));
+// Numeric aggregates take numbers (or numeric text); anything else is an error, not 0
+const numbers = (vals) => present(vals).map(v => {
+    if (!isNumeric(v)) throw new Error(`Numeric aggregate cannot be applied to ${JSON.stringify(v)}`);
+    return Number(v);
+});
+
+function percentile(vals, fraction) {
+    const v = numbers(vals).sort((a, b) => a - b);
+    if (!v.length) return null;
+    const pos = (v.length - 1) * Number(fraction);
+    const lo = Math.floor(pos), hi = Math.ceil(pos);
+    return v[lo] + (v[hi] - v[lo]) * (pos - lo);
+}
+
+function variance(vals, sample) {
+    const v = numbers(vals);
+    if (v.length < (sample ? 2 : 1)) return null;
+    const mean = v.reduce((a, b) => a + b, 0) / v.length;
+    return v.reduce((a, b) => a + (b - mean) ** 2, 0) / (v.length - (sample ? 1 : 0));
+}
+
+const sqlAggregates = {
+    // sum/avg of no values is NULL, count of no values is 0
+    sum: (vals) => {
+        const v = numbers(vals);
+        return v.length ? v.reduce((a, b) => a + b, 0) : null;
+    },
+    count: (vals) => present(vals).length,
+    avg: (vals) => {
+        const v = numbers(vals);
+        return v.length ? v.reduce((a, b) => a + b, 0) / v.length : null;
+    },
+    // min/max compare like ORDER BY: numbers numerically, text by the session collation
+    min: (vals) => {
+        const v = present(vals);
+        return v.length ? v.reduce((best, x) => compareValues(x, best) < 0 ? x : best) : null;
+    },
+    max: (vals) => {
+        const v = present(vals);
+        return v.length ? v.reduce((best, x) => compareValues(x, best) > 0 ? x : best) : null;
+    },
+    string_agg: (vals, [separator = ',']) => {
+        const v = present(vals);
+        return v.length ? v.join(String(separator)) : null;
+    },
+    // Arrays keep NULLs and nested objects as they are
+    array_agg: (vals) => vals.length ? vals.map(v => v ?? null) : null,
+    json_agg: (vals) => vals.length ? vals.map(v => v ?? null) : null,
+    median: (vals) => percentile(vals, 0.5),
+    percentile_cont: (vals, [fraction = 0.5]) => {
+        if (Number(fraction) < 0 || Number(fraction) > 1) throw new Error(`percentile_cont fraction must be between 0 and 1, got ${fraction}`);
+        return percentile(vals, fraction);
+    },
+    variance: (vals) => variance(vals, true),
+    var_samp: (vals) => variance(vals, true),
+    var_pop: (vals) => variance(vals, false),
+    stddev: (vals) => {
+        const v = variance(vals, true);
+        return v === null ? v : Math.sqrt(v);
+    },
+    stddev_samp: (vals) => sqlAggregates.stddev(vals),
+    stddev_pop: (vals) => {
+        const v = variance(vals, false);
+        return v === null ? v : Math.sqrt(v);
+    },
+    bool_and: (vals) => present(vals).length ? present(vals).every(isTruthy) : null,
+    bool_or: (vals) => present(vals).length ? present(vals).some(isTruthy) : null,
+    // Most frequent value; ties go to the smallest
+    mode: (vals) => {
+        const counts = new Map();
+        present(vals).forEach(v => counts.set(v, (counts.get(v) || 0) + 1));
+        let best = null, bestCount = 0;
+        counts.forEach((n, v) => {
+            if (n > bestCount || (n === bestCount && compareValues(v, best) < 0)) {
+                best = v;
+                bestCount = n;
+            }
+        });
+        return best;
+    }
+};
+
+const aggregateNames = new Set(Object.keys(sqlAggregates));
+
+// Only valid with OVER (...); every aggregate can be used as a window function too
+const windowFunctionNames = new Set([
+    'row_number', 'rank', 'dense_rank', 'percent_rank', 'cume_dist', 'ntile',
+    'lag', 'lead', 'first_value', 'last_value', 'nth_value'
+]);
+
+// ==================================================
+// 1c. TABLE FUNCTION REGISTRY
+// ==================================================
+// Used in FROM / JOIN: each turns one value into rows (FROM orders o CROSS JOIN
+// unnest(o.items) AS i). NULL gives no rows; JSON text is parsed first.
+const sqlTableFunctions = {
+    // Objects become one column per key, anything else is the `value` column
+    unnest: (arr) => jsonElements(arr, 'unnest').map(v => isJsonObject(v) ? { ...v } : { value: v }),
+    json_array_elements: (doc) => jsonElements(doc, 'json_array_elements').map(value => ({ value })),
+    // Object members as key / value; array elements with their 0-based index as the key
+    json_each: (doc) => {
+        const d = jsonDocument(doc);
+        if (isMissing(d)) return [];
+        if (Array.isArray(d)) return d.map((value, key) => ({ key, value }));
+        if (!isJsonObject(d)) throw new Error(`json_each() expects an object or array, got ${JSON.stringify(d)}`);
+        return Object.entries(d).map(([key, value]) => ({ key, value }));
+    }
+};
+
+// min/max with several arguments are the scalar Math versions
+const isAggregateCall = (node) => node.type === 'function' && aggregateNames.has(node.name) &&
+    (node.star || node.args.length <= 1 || !['min', 'max'].includes(node.name));
+
+// ==================================================
+// 2. VALUE HELPERS
+// ==================================================
+const isMissing = (v) => v === null || v === undefined;
+
+const isNumeric = (v) => typeof v === 'number' || typeof v === 'boolean' || (typeof v === 'string' && v.trim() !== '' && !isNaN(v));
+
+function isTruthy(v) {
+    if (isMissing(v)) return false;
+    if (typeof v === 'string') return v !== '' && v.toLowerCase() !== 'false';
+    return Boolean(v);
+}
+
+// --- Three-valued logic: null is "unknown" ---
+const truthOf = (v) => isMissing(v) ? null : isTruthy(v);
+const not3 = (t) => t === null ? null : !t;
+
+function and3(a, b) {
+    if (a === false || b === false) return false;
+    return a === null || b === null ? null : true;
+}
+
+function or3(a, b) {
+    if (a === true || b === true) return true;
+    return a === null || b === null ? null : false;
+}
+
+// --- Collations ---
+// 'binary' compares code units (case-sensitive), 'nocase' ignores case, and any
+// Intl locale ('de-DE', or with extensions like 'de-DE-u-kf-upper') sorts the way
+// that language does. The session default applies wherever no COLLATE is given.
+let defaultCollation = 'binary';
+const collators = new Map();
+
+// null for binary, otherwise the Intl.Collator behind the name
+function collatorFor(name) {
+    const key = String(name).toLowerCase();
+    if (key === 'binary') return null;
+    if (!collators.has(key)) {
+        let supported = [];
+        try { supported = key === 'nocase' ? ['en'] : Intl.Collator.supportedLocalesOf(name); } catch { /* malformed tag */ }
+        if (!supported.length) throw new Error(`Unknown collation: ${name}`);
+        collators.set(key, key === 'nocase' ? new Intl.Collator('en', { sensitivity: 'accent' }) : new Intl.Collator(name));
+    }
+    return collators.get(key);
+}
+
+function setDefaultCollation(name) {
+    collatorFor(name);
+    defaultCollation = String(name).toLowerCase();
+}
+
+// The COLLATE clause on any of the operands, else the session default
+function collationOf(...nodes) {
+    const explicit = [...new Set(nodes.filter(n => n && n.type === 'collate').map(n => n.collation.toLowerCase()))];
+    if (explicit.length > 1) throw new Error(`Conflicting collations: ${explicit.join(' and ')}`);
+    return explicit.length ? explicit[0] : defaultCollation;
+}
+
+// Values of one kind compare naturally: numbers (and booleans) by value, dates and
+// timestamps by the instant they name, intervals by length, other text by its
+// collation and JSON by its text. Across kinds numbers sort before text before JSON,
+// so "007" never equals 7 and ZIP codes stored as text sort as text.
+const valueKind = (v) => typeof v === 'number' || typeof v === 'boolean' ? 0 : v instanceof Interval ? 3 : typeof v === 'object' ? 2 : 1;
+
+function compareValues(a, b, collation = defaultCollation) {
+    const ka = valueKind(a), kb = valueKind(b);
+    if (ka !== kb) return ka - kb;
+    if (ka === 0) return Number(a) - Number(b);
+    if (ka === 3) return a.approximateMs() - b.approximateMs();
+    const ta = ka === 1 && parseTemporal(a), tb = ta && parseTemporal(b);
+    if (tb) return ta.ms - tb.ms;
+    const as = ka === 2 ? JSON.stringify(a) : String(a), bs = ka === 2 ? JSON.stringify(b) : String(b);
+    const collator = collatorFor(collation);
+    if (collator) return collator.compare(as, bs);
+    return as < bs ? -1 : as > bs ? 1 : 0;
+}
+
+// A key two values share exactly when compareValues calls them equal, for hash lookups
+// that must agree with `=`
+function valueKey(v, collation = defaultCollation) {
+    if (isMissing(v)) return null;
+    const kind = valueKind(v);
+    if (kind === 0) return `n:${Number(v)}`;
+    if (kind === 3) return `i:${v.approximateMs()}`;
+    const t = kind === 1 && parseTemporal(v);
+    if (t) return `t:${t.ms}`;
+    return kind === 2 ? `j:${foldText(JSON.stringify(v), collation)}` : `s:${foldText(String(v), collation)}`;
+}
+
+// Drops what the collation ignores: case under nocase (sensitivity accent),
+// accents under sensitivity case, both under base
+function foldText(text, collation) {
+    const collator = collatorFor(collation);
+    if (!collator) return text;
+    const { sensitivity } = collator.resolvedOptions();
+    let folded = text.normalize('NFC');
+    if (sensitivity === 'base' || sensitivity === 'case') folded = folded.normalize('NFD').replace(/\p{M}/gu, '').normalize('NFC');
+    if (sensitivity === 'base' || sensitivity === 'accent') folded = folded.toLowerCase();
+    return folded;
+}
+
+// --- Types ---
+// integer, double, decimal(p, s), text, boolean, date, timestamp, interval and json.
+// Dates are 'YYYY-MM-DD' and timestamps ISO 8601 strings (UTC, or with the offset
+// timezone() gave them); json values are the parsed objects and arrays.
+const typeNames = {
+    integer: 'integer', int: 'integer', bigint: 'integer', smallint: 'integer',
+    double: 'double', float: 'double', real: 'double',
+    decimal: 'decimal', numeric: 'decimal',
+    text: 'text', varchar: 'text', char: 'text', string: 'text',
+    boolean: 'boolean', bool: 'boolean',
+    date: 'date', timestamp: 'timestamp', datetime: 'timestamp',
+    interval: 'interval', json: 'json', jsonb: 'json'
+};
+
+function normalizeType(name) {
+    const type = typeNames[String(name).toLowerCase()];
+    if (!type) throw new Error(`Unknown type: ${name}`);
+    return type;
+}
+
+const castError = (v, type) => new Error(`Cannot cast ${JSON.stringify(v)} to ${type}`);
+
+// Converts a value to `type` ({ name, precision, scale }), throwing when it does not fit
+function castValue(v, type) {
+    if (isMissing(v)) return null;
+    switch (type.name) {
+        case 'integer':
+        case 'double':
+        case 'decimal': {
+            let n = typeof v === 'boolean' ? Number(v) : typeof v === 'number' || isNumeric(v) ? Number(v) : NaN;
+            if (!Number.isFinite(n)) throw castError(v, type.name);
+            if (type.name === 'integer') return Math.round(n);
+            if (type.name === 'decimal' && type.scale !== undefined) n = Number(n.toFixed(type.scale));
+            if (type.name === 'decimal' && type.precision !== undefined && Math.abs(n) >= 10 ** (type.precision - (type.scale || 0))) {
+                throw new Error(`${v} does not fit in decimal(${type.precision}, ${type.scale || 0})`);
+            }
+            return n;
+        }
+        case 'text':
+            return typeof v === 'object' && !(v instanceof Interval) ? JSON.stringify(v) : String(v);
+        case 'boolean': {
+            if (typeof v !== 'string') return Boolean(v);
+            const word = v.trim().toLowerCase();
+            if (['true', 't', 'yes', 'y', '1'].includes(word)) return true;
+            if (['false', 'f', 'no', 'n', '0'].includes(word)) return false;
+            throw castError(v, 'boolean');
+        }
+        case 'date':
+        case 'timestamp': {
+            const t = typeof v === 'number' ? { ms: v, offset: 0 } : parseTemporal(v);
+            if (!t) throw castError(v, type.name);
+            return type.name === 'date' ? formatTemporal({ ...t, dateOnly: true }) : new Date(t.ms).toISOString();
+        }
+        case 'interval':
+            if (v instanceof Interval) return v;
+            try { return Interval.parse(String(v)); } catch { throw castError(v, 'interval'); }
+        case 'json':
+            if (typeof v !== 'string') return v;
+            try { return JSON.parse(v); } catch { throw castError(v, 'json'); }
+    }
+}
+
+// The type of a stored value, used to infer a table's column types
+function valueType(v) {
+    if (isMissing(v)) return null;
+    if (typeof v === 'boolean') return 'boolean';
+    if (typeof v === 'number') return Number.isInteger(v) ? 'integer' : 'double';
+    if (v instanceof Interval) return 'interval';
+    if (typeof v === 'object') return 'json';
+    const t = parseTemporal(v);
+    return t ? (t.dateOnly ? 'date' : 'timestamp') : 'text';
+}
+
+const typeGroups = {
+    integer: 'number', double: 'number', decimal: 'number', date: 'time', timestamp: 'time',
+    interval: 'interval', text: 'text', boolean: 'boolean', json: 'json'
+};
+
+// The column type that holds values of both types: integer + double is double,
+// date + timestamp is timestamp, dates among text are text; anything else is 'any'
+function unifyTypes(a, b) {
+    if (!a || a === b) return b || a;
+    if (!b) return a;
+    if (typeGroups[a] === 'number' && typeGroups[b] === 'number') return a === 'double' || b === 'double' ? 'double' : 'decimal';
+    if (typeGroups[a] === 'time' && typeGroups[b] === 'time') return 'timestamp';
+    if ([a, b].every(t => typeGroups[t] === 'time' || t === 'text')) return 'text';
+    return 'any';
+}
+
+// LIKE, contains() and instr() ignore case under collations that do
+// (nocase, or a locale with sensitivity base/accent)
+function ignoresCase(collation) {
+    const collator = collatorFor(collation);
+    return !!collator && ['base', 'accent'].includes(collator.resolvedOptions().sensitivity);
+}
+
+const foldCase = (v, collation) => ignoresCase(collation) ? String(v ?? '').toLowerCase() : String(v ?? '');
+
+function likeToRegex(pattern, collation) {
+    const ignoreCase = ignoresCase(collation);
+    const body = String(pattern).replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.');
+    return new RegExp(`^${body}$`, ignoreCase ? 'si' : 's');
+}
+
+function applyComparison(op, l, r, collation) {
+    if (isMissing(l) || isMissing(r)) return null;
+    const c = compareValues(l, r, collation);
+    switch (op) {
+        case '=': return c === 0;
+        case '!=': return c !== 0;
+        case '<': return c < 0;
+        case '>': return c > 0;
+        case '<=': return c <= 0;
+        case '>=': return c >= 0;
+    }
+}
+
+function applyArithmetic(op, l, r) {
+    if (isMissing(l) || isMissing(r)) return null;
+    if (op === '||') return String(l) + String(r);
+    if (l instanceof Interval || r instanceof Interval || parseTemporal(l) || parseTemporal(r)) return temporalArithmetic(op, l, r);
+    const a = Number(l), b = Number(r);
+    switch (op) {
+        case '+': return a + b;
+        case '-': return a - b;
+        case '*': return a * b;
+        case '/': return b === 0 ? null : a / b;
+        case '%': return b === 0 ? null : a % b;
+    }
+}
+
+// Nested SELECTs are run by the engine that owns the context
+function runSubquery(node, ctx) {
+    if (!ctx.subquery) throw new Error('Subqueries are not supported in this context');
+    return ctx.subquery(node.query);
+}
+
+function firstColumn(rows) {
+    if (rows.length && Object.keys(rows[0]).length !== 1) throw new Error('Subquery must return exactly one column');
+    return rows.map(r => Object.values(r)[0]);
+}
+
+// The keys of an IN (SELECT ...) result, built once per result and collation
+// (an uncorrelated subquery hands back the same rows for every outer row)
+const inKeySets = new WeakMap();
+
+function inKeySet(rows, collation) {
+    if (!inKeySets.has(rows)) inKeySets.set(rows, new Map());
+    const byCollation = inKeySets.get(rows);
+    if (!byCollation.has(collation)) {
+        const values = firstColumn(rows);
+        byCollation.set(collation, { keys: new Set(values.map(v => valueKey(v, collation))), hasNull: values.some(isMissing) });
+    }
+    return byCollation.get(collation);
+}
+
+// ==================================================
+// 2c. DATES AND TIMES
+// ==================================================
+// A date or timestamp is read into { ms, offset, dateOnly }: the instant in epoch
+// milliseconds, the UTC offset in minutes it is shown in, and whether it is a plain
+// date. Calendar fields (month, hour, ...) are those of the shown offset.
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const ISO_TIMESTAMP = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(\.\d+)?)?(Z|([+-])(\d{2}):?(\d{2}))?$/i;
+const DAY_MS = 86400000;
+
+const pad = (n, width = 2) => String(n).padStart(width, '0');
+
+function parseTemporal(v) {
+    if (v instanceof Date) return isNaN(v) ? null : { ms: v.getTime(), offset: 0, dateOnly: false };
+    if (typeof v !== 'string') return null;
+    const text = v.trim();
+    const date = text.match(ISO_DATE);
+    const time = date ? null : text.match(ISO_TIMESTAMP);
+    const m = date || time;
+    if (!m) return null;
+    const [year, month, day] = [m[1], m[2], m[3]].map(Number);
+    // Reject dates the calendar does not have (2024-02-30) instead of rolling them over
+    const midnight = Date.UTC(year, month - 1, day);
+    if (new Date(midnight).getUTCDate() !== day || new Date(midnight).getUTCMonth() !== month - 1) return null;
+    if (date) return { ms: midnight, offset: 0, dateOnly: true };
+
+    const [hour, minute, second] = [time[4], time[5], time[6] || 0].map(Number);
+    if (hour > 23 || minute > 59 || second > 59) return null;
+    const fraction = time[7] ? Math.round(Number(time[7]) * 1000) : 0;
+    const offset = time[9] ? (time[9] === '-' ? -1 : 1) * (Number(time[10]) * 60 + Number(time[11])) : 0;
+    return { ms: midnight + ((hour * 60 + minute - offset) * 60 + second) * 1000 + fraction, offset, dateOnly: false };
+}
+
+// Back to text: 'YYYY-MM-DD', ISO 8601 in UTC ('...Z') or with its offset ('...+09:00')
+function formatTemporal({ ms, offset = 0, dateOnly = false }) {
+    const local = new Date(ms + offset * 60000).toISOString();
+    if (dateOnly) return local.slice(0, 10);
+    if (!offset) return local;
+    const abs = Math.abs(offset);
+    return `${local.slice(0, 23)}${offset < 0 ? '-' : '+'}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+// The calendar fields of a temporal value, read through getUTC* on a shifted Date
+const localDate = (t) => new Date(t.ms + t.offset * 60000);
+const fromLocal = (t, local, dateOnly = t.dateOnly) => formatTemporal({ ms: local.getTime() - t.offset * 60000, offset: t.offset, dateOnly });
+
+function requireTemporal(v, fn) {
+    const t = parseTemporal(v);
+    if (!t) throw new Error(`${fn}() needs a date or timestamp, got ${JSON.stringify(v)}`);
+    return t;
+}
+
+const unitNames = {
+    millisecond: 'millisecond', ms: 'millisecond', msec: 'millisecond',
+    second: 'second', sec: 'second', s: 'second',
+    minute: 'minute', min: 'minute',
+    hour: 'hour', hr: 'hour', h: 'hour',
+    day: 'day', d: 'day', week: 'week', w: 'week',
+    month: 'month', mon: 'month', quarter: 'quarter', qtr: 'quarter',
+    year: 'year', yr: 'year', y: 'year'
+};
+
+// 'Days', 'hrs', 'month' -> day, hour, month
+function normalizeUnit(unit, extra = []) {
+    const word = String(unit).trim().toLowerCase();
+    const name = unitNames[word] || unitNames[word.replace(/s$/, '')] || extra.find(e => e === word);
+    if (!name) throw new Error(`Unknown date part: ${unit}`);
+    return name;
+}
+
+const unitMs = { millisecond: 1, second: 1000, minute: 60000, hour: 3600000, day: DAY_MS, week: 7 * DAY_MS };
+
+// INTERVAL '1 year 2 months', '7 days', '90 minutes', '1 day 02:30:00'. Months and
+// days stay separate from clock time, so adding a month or a day follows the calendar.
+class Interval {
+    constructor(months = 0, days = 0, ms = 0) {
+        this.months = months;
+        this.days = days;
+        this.ms = ms;
+    }
+
+    static parse(text) {
+        const interval = new Interval();
+        const rest = text.replace(/([+-]?\d+(?:\.\d+)?)\s*([a-z]+)|([+-]?)(\d+):(\d{2})(?::(\d{2}(?:\.\d+)?))?/gi, (m, n, unit, sign, h, min, sec) => {
+            if (h !== undefined) {
+                const ms = ((Number(h) * 60 + Number(min)) * 60 + Number(sec || 0)) * 1000;
+                interval.ms += sign === '-' ? -ms : ms;
+                return ' ';
+            }
+            const amount = Number(n), name = normalizeUnit(unit);
+            if (name === 'year') interval.months += amount * 12;
+            else if (name === 'quarter') interval.months += amount * 3;
+            else if (name === 'month') interval.months += amount;
+            else if (name === 'week' || name === 'day') interval.days += amount * (name === 'week' ? 7 : 1);
+            else interval.ms += amount * unitMs[name];
+            return ' ';
+        });
+        if (rest.trim() !== '' || rest === text) throw new Error(`Invalid interval: ${JSON.stringify(text)}`);
+        return interval;
+    }
+
+    scale(factor) {
+        return new Interval(this.months * factor, this.days * factor, this.ms * factor);
+    }
+
+    plus(other) {
+        return new Interval(this.months + other.months, this.days + other.days, this.ms + other.ms);
+    }
+
+    // For ordering only: a month counts as 30 days
+    approximateMs() {
+        return (this.months * 30 + this.days) * DAY_MS + this.ms;
+    }
+
+    toString() {
+        const words = [];
+        const add = (n, unit) => { if (n) words.push(`${n} ${unit}${Math.abs(n) === 1 ? '' : 's'}`); };
+        add(Math.trunc(this.months / 12), 'year');
+        add(this.months % 12, 'month');
+        add(this.days, 'day');
+        let rest = this.ms;
+        [['hour', 3600000], ['minute', 60000], ['second', 1000]].forEach(([unit, size]) => {
+            add(Math.trunc(rest / size), unit);
+            rest %= size;
+        });
+        add(rest, 'millisecond');
+        return words.length ? words.join(' ') : '0 seconds';
+    }
+
+    toJSON() {
+        return this.toString();
+    }
+}
+
+// A number counts as days: date_add(shipped, 7)
+const toInterval = (v) => v instanceof Interval ? v : typeof v === 'number' ? new Interval(0, v, 0) : Interval.parse(String(v));
+
+// Months move along the calendar (Jan 31 + 1 month = Feb 29 in a leap year), then days, then clock time
+function shiftTemporal(t, interval) {
+    const local = localDate(t);
+    if (interval.months) {
+        const day = local.getUTCDate();
+        local.setUTCDate(1);
+        local.setUTCMonth(local.getUTCMonth() + interval.months);
+        const lastDay = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth() + 1, 0)).getUTCDate();
+        local.setUTCDate(Math.min(day, lastDay));
+    }
+    local.setUTCDate(local.getUTCDate() + interval.days);
+    local.setTime(local.getTime() + interval.ms);
+    return fromLocal(t, local, t.dateOnly && interval.ms === 0);
+}
+
+// timestamp ± interval, date ± days, date - date (days), timestamp - timestamp (interval),
+// interval ± interval and interval * / number
+function temporalArithmetic(op, l, r) {
+    const lt = parseTemporal(l), rt = parseTemporal(r);
+    const isInterval = (v) => v instanceof Interval;
+    if (lt && (isInterval(r) || typeof r === 'number') && (op === '+' || op === '-')) {
+        return shiftTemporal(lt, toInterval(r).scale(op === '-' ? -1 : 1));
+    }
+    if (rt && (isInterval(l) || typeof l === 'number') && op === '+') return shiftTemporal(rt, toInterval(l));
+    if (lt && rt && op === '-') {
+        const diff = lt.ms - rt.ms;
+        return lt.dateOnly && rt.dateOnly ? Math.round(diff / DAY_MS) : new Interval(0, Math.trunc(diff / DAY_MS), diff % DAY_MS);
+    }
+    if (isInterval(l) && isInterval(r) && (op === '+' || op === '-')) return l.plus(r.scale(op === '-' ? -1 : 1));
+    if (isInterval(l) && typeof r === 'number' && (op === '*' || op === '/')) return l.scale(op === '*' ? r : 1 / r);
+    if (isInterval(r) && typeof l === 'number' && op === '*') return r.scale(l);
+    throw new Error(`Operator ${op} cannot be applied to ${JSON.stringify(l)} and ${JSON.stringify(r)}`);
+}
+
+// date_trunc('month', ts): the start of the unit the value falls in; dates stay dates
+function truncTemporal(unit, t) {
+    const name = normalizeUnit(unit);
+    const local = localDate(t);
+    const y = local.getUTCFullYear(), mo = local.getUTCMonth(), d = local.getUTCDate();
+    const starts = {
+        year: () => Date.UTC(y, 0, 1),
+        quarter: () => Date.UTC(y, mo - mo % 3, 1),
+        month: () => Date.UTC(y, mo, 1),
+        week: () => Date.UTC(y, mo, d - (local.getUTCDay() + 6) % 7),   // ISO weeks start on Monday
+        day: () => Date.UTC(y, mo, d)
+    };
+    const ms = starts[name] ? starts[name]() : local.getTime() - local.getTime() % unitMs[name];
+    return fromLocal(t, new Date(ms));
+}
+
+function isoWeek(local) {
+    const thursday = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate() + 3 - (local.getUTCDay() + 6) % 7));
+    return Math.ceil(((thursday - Date.UTC(thursday.getUTCFullYear(), 0, 1)) / DAY_MS + 1) / 7);
+}
+
+// date_part('month', ts) / EXTRACT(month FROM ts)
+function datePart(unit, t) {
+    const name = normalizeUnit(unit, ['dow', 'isodow', 'doy', 'epoch']);
+    const local = localDate(t);
+    switch (name) {
+        case 'year': return local.getUTCFullYear();
+        case 'quarter': return Math.floor(local.getUTCMonth() / 3) + 1;
+        case 'month': return local.getUTCMonth() + 1;
+        case 'week': return isoWeek(local);
+        case 'day': return local.getUTCDate();
+        case 'dow': return local.getUTCDay();
+        case 'isodow': return local.getUTCDay() || 7;
+        case 'doy': return Math.round((Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate()) - Date.UTC(local.getUTCFullYear(), 0, 1)) / DAY_MS) + 1;
+        case 'hour': return local.getUTCHours();
+        case 'minute': return local.getUTCMinutes();
+        case 'second': return local.getUTCSeconds() + local.getUTCMilliseconds() / 1000;
+        case 'millisecond': return local.getUTCSeconds() * 1000 + local.getUTCMilliseconds();
+        case 'epoch': return t.ms / 1000;
+    }
+}
+
+// date_diff('month', start, end): whole units from start to end (negative when end is earlier)
+function dateDiff(unit, start, end) {
+    const name = normalizeUnit(unit);
+    if (unitMs[name]) return Math.trunc((end.ms - start.ms) / unitMs[name]);
+    const a = localDate(start), b = localDate(end);
+    let months = (b.getUTCFullYear() - a.getUTCFullYear()) * 12 + b.getUTCMonth() - a.getUTCMonth();
+    const intoMonth = (d) => d.getTime() - Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1);
+    if (months > 0 && intoMonth(b) < intoMonth(a)) months--;
+    if (months < 0 && intoMonth(b) > intoMonth(a)) months++;
+    return Math.trunc(months / (name === 'year' ? 12 : name === 'quarter' ? 3 : 1));
+}
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// format_date(ts, '%d %b %Y %H:%M'): strftime codes in the value's own offset
+function formatDate(t, format) {
+    const local = localDate(t);
+    const hour = local.getUTCHours();
+    const offset = t.offset ? formatTemporal({ ms: 0, offset: t.offset }).slice(23) : '+00:00';
+    const codes = {
+        Y: () => local.getUTCFullYear(), y: () => pad(local.getUTCFullYear() % 100),
+        m: () => pad(local.getUTCMonth() + 1), d: () => pad(local.getUTCDate()), e: () => String(local.getUTCDate()),
+        H: () => pad(hour), I: () => pad(hour % 12 || 12), p: () => hour < 12 ? 'AM' : 'PM',
+        M: () => pad(local.getUTCMinutes()), S: () => pad(local.getUTCSeconds()), L: () => pad(local.getUTCMilliseconds(), 3),
+        B: () => MONTH_NAMES[local.getUTCMonth()], b: () => MONTH_NAMES[local.getUTCMonth()].slice(0, 3),
+        A: () => DAY_NAMES[local.getUTCDay()], a: () => DAY_NAMES[local.getUTCDay()].slice(0, 3),
+        j: () => pad(datePart('doy', t), 3), u: () => String(datePart('isodow', t)), w: () => String(local.getUTCDay()),
+        V: () => pad(isoWeek(local)), F: () => formatTemporal({ ...t, dateOnly: true }), T: () => local.toISOString().slice(11, 19),
+        z: () => offset.replace(':', ''), Z: () => t.offset ? offset : 'UTC', '%': () => '%'
+    };
+    return format.replace(/%(.)/g, (m, code) => codes[code] ? codes[code]() : m);
+}
+
+// timezone('Asia/Tokyo', ts): the same instant shown in another zone (or a fixed offset like '+05:30')
+const zoneFormats = new Map();
+
+function zoneOffset(zone, ms) {
+    const fixed = zone.match(/^([+-])(\d{2}):?(\d{2})$/);
+    if (fixed) return (fixed[1] === '-' ? -1 : 1) * (Number(fixed[2]) * 60 + Number(fixed[3]));
+    if (!zoneFormats.has(zone)) {
+        try {
+            zoneFormats.set(zone, new Intl.DateTimeFormat('en-US', {
+                timeZone: zone, hourCycle: 'h23',
+                year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+            }));
+        } catch {
+            throw new Error(`Unknown time zone: ${zone}`);
+        }
+    }
+    const parts = Object.fromEntries(zoneFormats.get(zone).formatToParts(new Date(ms)).map(p => [p.type, Number(p.value)]));
+    const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((wall - (ms - ms % 1000)) / 60000);
+}
+
+function inTimeZone(t, zone) {
+    return formatTemporal({ ms: t.ms, offset: zoneOffset(String(zone), t.ms) });
+}
+
+// ==================================================
+// 2d. JSON
+// ==================================================
+// Documents are the parsed objects and arrays; JSON text is parsed when it is
+// used as a document. Keys pick object members and 0-based integers pick array
+// elements (negative ones count from the end). A step that leads nowhere is NULL.
+
+const jsonDocument = (v) => typeof v === 'string' ? castValue(v, { name: 'json' }) : v;
+const isJsonObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v) && !(v instanceof Interval);
+
+function jsonElements(v, fn) {
+    const d = jsonDocument(v);
+    if (isMissing(d)) return [];
+    if (!Array.isArray(d)) throw new Error(`${fn}() expects an array, got ${JSON.stringify(d)}`);
+    return d;
+}
+
+function jsonStep(v, step) {
+    if (Array.isArray(v)) return Number.isInteger(step) ? v.at(step) ?? null : null;
+    if (isJsonObject(v)) return typeof step === 'string' && Object.hasOwn(v, step) ? v[step] : null;
+    return null;
+}
+
+const walkJson = (v, steps) => steps.reduce((cur, step) => isMissing(cur) ? null : jsonStep(cur, step), v);
+
+// '$.address.city', '$.items[2].sku', '$."first name"', '$[0]', "$['key']"
+const jsonPaths = new Map();
+
+function parseJsonPath(path) {
+    const text = String(path);
+    if (jsonPaths.has(text)) return jsonPaths.get(text);
+    if (!text.startsWith('$')) throw new Error(`Invalid JSON path: ${text}`);
+    const stepPattern = /\.([^.[\]"]+)|\."([^"]*)"|\[(-?\d+)\]|\[(['"])(.*?)\4\]/y;
+    stepPattern.lastIndex = 1;
+    const steps = [];
+    while (stepPattern.lastIndex < text.length) {
+        const m = stepPattern.exec(text);
+        if (!m) throw new Error(`Invalid JSON path: ${text}`);
+        steps.push(m[3] !== undefined ? Number(m[3]) : m[1] ?? m[2] ?? m[5]);
+    }
+    jsonPaths.set(text, steps);
+    return steps;
+}
+
+// doc -> key keeps the value, doc ->> key gives it as text
+function jsonArrow(op, doc, key) {
+    const v = jsonStep(jsonDocument(doc), key);
+    if (op === '->' || isMissing(v)) return v;
+    return typeof v === 'object' ? JSON.stringify(v) : String(v);
+}
+
+// ==================================================
+// 3. EVALUATOR
+// ==================================================
+function evaluateExpression(node, ctx) {
+    switch (node.type) {
+        case 'literal':
+            return node.value;
+
+        case 'column': {
+            const constant = node.path.length === 1 ? node.path[0].toLowerCase() : null;
+            if (constant && Object.prototype.hasOwnProperty.call(sqlConstants, constant)) return sqlConstants[constant];
+            return ctx.lookup(node.path);
+        }
+
+        case 'unary': {
+            const v = evaluateExpression(node.operand, ctx);
+            if (node.op === 'not') return not3(truthOf(v));
+            return isMissing(v) ? null : -Number(v);
+        }
+
+        case 'binary': {
+            if (node.op === 'and') {
+                const l = truthOf(evaluateExpression(node.left, ctx));
+                return l === false ? false : and3(l, truthOf(evaluateExpression(node.right, ctx)));
+            }
+            if (node.op === 'or') {
+                const l = truthOf(evaluateExpression(node.left, ctx));
+                return l === true ? true : or3(l, truthOf(evaluateExpression(node.right, ctx)));
+            }
+            const l = evaluateExpression(node.left, ctx);
+            const r = evaluateExpression(node.right, ctx);
+            if (['=', '!=', '<', '>', '<=', '>='].includes(node.op)) return applyComparison(node.op, l, r, collationOf(node.left, node.right));
+            if (node.op === '->' || node.op === '->>') return isMissing(l) || isMissing(r) ? null : jsonArrow(node.op, l, r);
+            return applyArithmetic(node.op, l, r);
+        }
+
+        case 'in': {
+            // x IN (1, NULL) is unknown rather than false when x is not 1
+            const v = evaluateExpression(node.expr, ctx);
+            const collation = collationOf(node.expr, ...(node.list || []));
+            let found = false;
+            if (node.query) {
+                const rows = runSubquery(node, ctx);
+                const { keys, hasNull } = inKeySet(rows, collation);
+                if (rows.length) found = isMissing(v) ? null : keys.has(valueKey(v, collation)) || (hasNull ? null : false);
+            } else {
+                for (const item of node.list) {
+                    found = or3(found, applyComparison('=', v, evaluateExpression(item, ctx), collation));
+                    if (found === true) break;
+                }
+            }
+            return node.not ? not3(found) : found;
+        }
+
+        case 'exists':
+            return runSubquery(node, ctx).length > 0;
+
+        case 'subquery': {
+            const values = firstColumn(runSubquery(node, ctx));
+            if (values.length > 1) throw new Error('Scalar subquery returned more than one row');
+            return values.length ? values[0] : null;
+        }
+
+        case 'between': {
+            const v = evaluateExpression(node.expr, ctx);
+            const collation = collationOf(node.expr, node.low, node.high);
+            const inside = and3(applyComparison('>=', v, evaluateExpression(node.low, ctx), collation),
+                applyComparison('<=', v, evaluateExpression(node.high, ctx), collation));
+            return node.not ? not3(inside) : inside;
+        }
+
+        case 'like': {
+            const v = evaluateExpression(node.expr, ctx);
+            const pattern = evaluateExpression(node.pattern, ctx);
+            if (isMissing(v) || isMissing(pattern)) return null;
+            const matched = likeToRegex(pattern, collationOf(node.expr, node.pattern)).test(String(v));
+            return node.not ? !matched : matched;
+        }
+
+        case 'function': {
+            if (ctx.aggregates && ctx.aggregates.has(node)) return ctx.aggregates.get(node);
+            if (isAggregateCall(node)) throw new Error(`Aggregate ${node.name}() cannot be evaluated outside a GROUP BY`);
+            if (windowFunctionNames.has(node.name)) throw new Error(`${node.name}() needs an OVER (...) clause`);
+            const fn = Object.prototype.hasOwnProperty.call(sqlFunctions, node.name) ? sqlFunctions[node.name] : null;
+            if (!fn) throw new Error(`Unknown function: ${node.name}()`);
+            if (node.distinct) throw new Error(`DISTINCT is only allowed inside aggregate calls, not ${node.name}()`);
+            if (node.orderBy && node.orderBy.length) throw new Error(`ORDER BY is only allowed inside aggregate calls, not ${node.name}()`);
+            const args = node.args.map(a => evaluateExpression(a, ctx));
+            if (!nullTolerantFunctions.has(node.name) && args.some(isMissing)) return null;
+            return fn(args, collationOf(...node.args));
+        }
+
+        case 'isnull': {
+            const missing = isMissing(evaluateExpression(node.expr, ctx));
+            return node.not ? !missing : missing;
+        }
+
+        // Like != / = except that NULL is a value: never unknown
+        case 'distinctfrom': {
+            const l = evaluateExpression(node.left, ctx);
+            const r = evaluateExpression(node.right, ctx);
+            const distinct = isMissing(l) || isMissing(r)
+                ? isMissing(l) !== isMissing(r)
+                : compareValues(l, r, collationOf(node.left, node.right)) !== 0;
+            return node.not ? !distinct : distinct;
+        }
+
+        case 'cast': {
+            const v = evaluateExpression(node.expr, ctx);
+            if (!node.try) return castValue(v, node.to);
+            try { return castValue(v, node.to); } catch { return null; }
+        }
+
+        // The collation only matters to the comparison or ORDER BY around it
+        case 'collate':
+            collatorFor(node.collation);
+            return evaluateExpression(node.expr, ctx);
+
+        case 'window':
+            if (ctx.windows && ctx.windows.has(node)) return ctx.windows.get(node);
+            throw new Error(`Window function ${node.name}() is only allowed in the select list and ORDER BY`);
+
+        case 'star':
+            throw new Error('* is only allowed in the select list or inside count(*)');
+
+        default:
+            throw new Error(`Unsupported expression node: ${node.type}`);
+    }
+}
+
+// Depth-first search of an expression tree; matching nodes are not descended into,
+// and neither are nested SELECTs (their columns and aggregates belong to them)
+function collectNodes(node, predicate, out = []) {
+    if (!node || typeof node !== 'object') return out;
+    if (node.type && predicate(node)) {
+        out.push(node);
+        return out;
+    }
+    if (node.type === 'select' || node.type === 'compound') return out;
+    Object.values(node).forEach(child => {
+        if (Array.isArray(child)) child.forEach(c => collectNodes(c, predicate, out));
+        else if (child && typeof child === 'object') collectNodes(child, predicate, out);
+    });
+    return out;
+}
+
+// Every aggregate call inside an expression tree (used to pre-compute group values)
+function collectAggregates(node) {
+    const found = collectNodes(node, isAggregateCall);
+    found.forEach(agg => {
+        if (collectAggregates(agg.args).length) throw new Error(`Aggregate calls cannot be nested inside ${agg.name}()`);
+    });
+    return found;
+}
+
+// ==================================================
+// 4. TYPE CHECKING
+// ==================================================
+// Static type of an expression, worked out before any row is evaluated.
+// `columnType(path)` gives a column's type, or 'any' when it is not known.
+// A string literal compared with a typed operand is converted to that type
+// up front (age > '30', shipped < '2024-03-01'); other mismatches are errors.
+
+// 'unknown' is a string literal, 'null' the NULL literal, 'any' a type we cannot tell
+const isOpenType = (t) => t === 'any' || t === 'unknown' || t === 'null';
+
+// Aggregates whose argument must be a number
+const numericAggregates = new Set(['sum', 'avg', 'median', 'percentile_cont', 'variance', 'var_samp', 'var_pop', 'stddev', 'stddev_samp', 'stddev_pop']);
+
+// Result type of a call: a type name, 'arg' for the type of the first argument,
+// or a function of the argument types
+const functionTypes = {
+    json_value: 'text',
+    now: 'timestamp', timezone: 'timestamp', date_part: 'double', date_diff: 'integer', format_date: 'text',
+    date_trunc: (args) => args[1], date_add: (args) => args[0],
+    upper: 'text', lower: 'text', initcap: 'text', trim: 'text', lpad: 'text', rpad: 'text',
+    replace: 'text', concat: 'text', substr: 'text', string_agg: 'text',
+    length: 'integer', instr: 'integer', count: 'integer',
+    row_number: 'integer', rank: 'integer', dense_rank: 'integer', ntile: 'integer',
+    contains: 'boolean', bool_and: 'boolean', bool_or: 'boolean',
+    avg: 'double', median: 'double', percentile_cont: 'double', percent_rank: 'double', cume_dist: 'double',
+    variance: 'double', var_samp: 'double', var_pop: 'double', stddev: 'double', stddev_samp: 'double', stddev_pop: 'double',
+    array_agg: 'json', json_agg: 'json', json_object: 'json', json_array: 'json',
+    sum: 'arg', min: 'arg', max: 'arg', mode: 'arg', abs: 'arg', coalesce: 'arg', nullif: 'arg',
+    lag: 'arg', lead: 'arg', first_value: 'arg', last_value: 'arg', nth_value: 'arg'
+};
+
+// The operands of a comparison must share a type group; string literals take the group's
+// type. Numbers compare as double, so age = '5.4' is false and age > '4.5' keeps 5, and a
+// literal with a time of day stays a timestamp next to a date (dates compare as midnight).
+function unifyOperands(nodes, types) {
+    const known = types.filter(t => !isOpenType(t));
+    if (!known.length) return;
+    known.forEach(t => {
+        if (typeGroups[t] !== typeGroups[known[0]]) throw new Error(`Cannot compare ${known[0]} with ${t}`);
+    });
+    const target = typeGroups[known[0]] === 'number' ? 'double' : known[0];
+    nodes.forEach((node, i) => {
+        if (types[i] !== 'unknown') return;
+        const widened = target === 'date' && parseTemporal(node.value)?.dateOnly === false ? 'timestamp' : target;
+        try { node.value = castValue(node.value, { name: widened }); } catch { throw castError(node.value, known[0]); }
+    });
+}
+
+// timestamp ± interval, date ± integer days, date - date (integer), timestamp - timestamp
+// (interval), interval ± interval, interval * / number. A string literal next to a date
+// takes its type, next to an interval it is a timestamp.
+function temporalArithmeticType(node, left, right) {
+    const settle = (operand, t, other) => {
+        if (t !== 'unknown') return t;
+        const type = typeGroups[other] === 'interval' ? 'timestamp' : other;
+        operand.value = castValue(operand.value, { name: type });
+        return type;
+    };
+    const l = settle(node.left, left, right), r = settle(node.right, right, left);
+    if (isOpenType(l) || isOpenType(r)) return 'any';
+    const group = (t) => typeGroups[t] === 'number' ? 'number' : typeGroups[t];
+    const result = {
+        'time + interval': l, 'time - interval': l, 'interval + time': r,
+        'time - time': l === 'date' && r === 'date' ? 'integer' : 'interval',
+        'time + number': l === 'date' && r === 'integer' ? 'date' : null,
+        'time - number': l === 'date' && r === 'integer' ? 'date' : null,
+        'interval + interval': 'interval', 'interval - interval': 'interval',
+        'interval * number': 'interval', 'interval / number': 'interval', 'number * interval': 'interval'
+    }[`${group(l)} ${node.op} ${group(r)}`];
+    if (!result) throw new Error(`Operator ${node.op} cannot be applied to ${l} and ${r}`);
+    return result;
+}
+
+function arithmeticType(node, left, right) {
+    if ([left, right].some(t => ['time', 'interval'].includes(typeGroups[t]))) return temporalArithmeticType(node, left, right);
+    [[node.left, left], [node.right, right]].forEach(([operand, t]) => {
+        if (t === 'unknown') operand.value = castValue(operand.value, { name: 'double' });
+        else if (!isOpenType(t) && typeGroups[t] !== 'number') throw new Error(`Operator ${node.op} cannot be applied to ${t}`);
+    });
+    if (left === 'any' || right === 'any') return 'any';
+    if (left === 'double' || right === 'double' || node.op === '/') return 'double';
+    return left === 'decimal' || right === 'decimal' ? 'decimal' : 'integer';
+}
+
+// INSERT and UPDATE keep a column's inferred type: a value that could not share the
+// column with it (text in an integer column) is an error. String literals are converted
+// for number and boolean columns, and text that is not a whole number is no integer.
+function checkAssignment(node, type, target, column) {
+    if (isOpenType(target) || target === 'json') return;
+    if (type === 'unknown') {
+        if (!['number', 'boolean'].includes(typeGroups[target])) return;
+        let v;
+        try { v = castValue(node.value, { name: target === 'integer' ? 'double' : target }); } catch { v = NaN; }
+        if (Number.isNaN(v) || (target === 'integer' && !Number.isInteger(v))) throw castError(node.value, target);
+        node.value = v;
+    } else if (!isOpenType(type) && unifyTypes(target, type) === 'any') {
+        throw new Error(`Column ${column} holds ${target} values, not ${type}`);
+    }
+}
+
+// The same rule for a value whose type was only known once it was computed
+function checkStoredValue(v, target, column) {
+    if (isMissing(v) || isOpenType(target) || target === 'json') return;
+    const type = valueType(v);
+    if (unifyTypes(target, type) === 'any') throw new Error(`Column ${column} holds ${target} values, not ${type}`);
+}
+
+function inferType(node, columnType) {
+    const typeOf = (child) => inferType(child, columnType);
+    switch (node.type) {
+        case 'literal':
+            if (node.value === null) return 'null';
+            if (typeof node.value === 'string') return 'unknown';
+            if (typeof node.value === 'boolean') return 'boolean';
+            return Number.isInteger(node.value) ? 'integer' : 'double';
+
+        case 'column': {
+            const constant = node.path.length === 1 ? node.path[0].toLowerCase() : null;
+            if (constant && Object.prototype.hasOwnProperty.call(sqlConstants, constant)) return constantTypes[constant];
+            return columnType(node.path);
+        }
+
+        case 'unary': {
+            const t = typeOf(node.operand);
+            if (node.op === 'not') return 'boolean';
+            if (!isOpenType(t) && typeGroups[t] !== 'number') throw new Error(`Operator - cannot be applied to ${t}`);
+            return t;
+        }
+
+        case 'binary': {
+            const left = typeOf(node.left), right = typeOf(node.right);
+            if (node.op === 'and' || node.op === 'or') return 'boolean';
+            if (node.op === '||') return 'text';
+            // What -> finds depends on the document, so only ->> has a static type
+            if (node.op === '->' || node.op === '->>') {
+                if (!isOpenType(left) && !['json', 'text'].includes(left)) throw new Error(`Operator ${node.op} cannot be applied to ${left}`);
+                return node.op === '->>' ? 'text' : 'any';
+            }
+            if (['=', '!=', '<', '>', '<=', '>='].includes(node.op)) {
+                unifyOperands([node.left, node.right], [left, right]);
+                return 'boolean';
+            }
+            return arithmeticType(node, left, right);
+        }
+
+        case 'in': {
+            const operands = [node.expr, ...(node.list || [])];
+            unifyOperands(operands, operands.map(typeOf));
+            return 'boolean';
+        }
+
+        case 'between': {
+            const operands = [node.expr, node.low, node.high];
+            unifyOperands(operands, operands.map(typeOf));
+            return 'boolean';
+        }
+
+        case 'distinctfrom': {
+            const operands = [node.left, node.right];
+            unifyOperands(operands, operands.map(typeOf));
+            return 'boolean';
+        }
+
+        case 'like':
+            typeOf(node.expr);
+            typeOf(node.pattern);
+            return 'boolean';
+
+        case 'isnull':
+            typeOf(node.expr);
+            return 'boolean';
+
+        case 'exists':
+            return 'boolean';
+
+        case 'cast':
+            typeOf(node.expr);
+            return node.to.name;
+
+        case 'collate':
+            return typeOf(node.expr);
+
+        case 'function':
+        case 'window': {
+            const args = node.args.map(typeOf);
+            const result = functionTypes[node.name];
+            if (numericAggregates.has(node.name) && !isOpenType(args[0]) && typeGroups[args[0]] !== 'number') {
+                throw new Error(`${node.name}() cannot be applied to ${args[0]}`);
+            }
+            const type = typeof result === 'function' ? result(args) : result === 'arg' ? args[0] : result;
+            return type && !isOpenType(type) ? type : 'any';
+        }
+
+        default:
+            return 'any';
+    }
+}
+
+module.exports = {
+    sqlFunctions, sqlConstants, sqlAggregates, sqlTableFunctions, aggregateNames, windowFunctionNames,
+    evaluateExpression, collectNodes, collectAggregates, isTruthy, isMissing, isNumeric, compareValues,
+    collationOf, setDefaultCollation, normalizeType, castValue, valueType, unifyTypes, inferType,
+    checkAssignment, checkStoredValue, parseTemporal, walkJson, valueKey
+};
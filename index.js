@@ -1,18 +1,21 @@
 const readline = require('readline');
+const { compareValues, isMissing, normalizeType, sqlFunctions: sharedFunctions, sqlAggregates } = require('./evaluator');
+const { createScope, addToScope, performJoin: joinRows } = require('./chatgpt');
 
 // --- 1. REGISTRIES ---
+// A NULL argument gives NULL, as in the other engines
+const nullable = (fn) => (args) => args.some(isMissing) ? null : fn(args);
+
 const sqlFunctions = {
-    "upper": (args) => String(args[0] ?? "").toUpperCase(),
-    "lower": (args) => String(args[0] ?? "").toLowerCase(),
-    "initcap": (args) => String(args[0] ?? "").replace(/\b\w/g, c => c.toUpperCase()),
-    "coalesce": (args) => args.find(v => v !== null && v !== "NULL" && v !== undefined && v !== "") ?? "NULL",
-    "contains": (args) => String(args[0] ?? "").toLowerCase().includes(String(args[1] ?? "").toLowerCase()),
-    "sum": (values) => values.filter(v => !isNaN(v)).reduce((a, b) => a + Number(b), 0),
-    "count": (values) => values.filter(v => v !== null && v !== "NULL").length,
-    "avg": (values) => {
-        const v = values.filter(v => !isNaN(v));
-        return v.length ? v.reduce((a, b) => a + Number(b), 0) / v.length : 0;
-    }
+    "upper": nullable(args => String(args[0]).toUpperCase()),
+    "lower": nullable(args => String(args[0]).toLowerCase()),
+    "initcap": nullable(args => String(args[0]).replace(/\b\w/g, c => c.toUpperCase())),
+    "contains": nullable(args => String(args[0]).toLowerCase().includes(String(args[1]).toLowerCase())),
+    // coalesce skips NULLs only, the aggregates ignore them (sum/avg of nothing is NULL)
+    "coalesce": sharedFunctions.coalesce,
+    "sum": sqlAggregates.sum,
+    "count": sqlAggregates.count,
+    "avg": sqlAggregates.avg
 };
 
 // --- 2. HELPERS ---
@@ -35,7 +38,9 @@ function evaluateArithmetic(expr, row) {
     for (let token of tokens) {
         if (['+', '-', '*', '/'].includes(token)) { currentOp = token; } 
         else {
-            let val = isNaN(token) ? (row[token] ?? row[token.split('.').pop()] ?? 0) : Number(token);
+            let val = isNaN(token) ? (row[token] ?? row[token.split('.').pop()]) : Number(token);
+            // NULL in arithmetic gives NULL
+            if (isMissing(val)) return null;
             switch (currentOp) {
                 case '+': result += val; break;
                 case '-': result -= val; break;
@@ -48,42 +53,17 @@ function evaluateArithmetic(expr, row) {
 }
 
 // --- 3. RELATIONAL JOIN ENGINE ---
-function performJoin(leftRows, rightRows, leftCol, rightCol, type) {
-    const result = [];
-    const matchedRightIndices = new Set();
-    const matchedLeftIndices = new Set();
-
-    leftRows.forEach((lRow, lIdx) => {
-        let foundMatch = false;
-        rightRows.forEach((rRow, rIdx) => {
-            const lVal = lRow[leftCol] ?? lRow[leftCol.split('.').pop()];
-            const rVal = rRow[rightCol] ?? rRow[rightCol.split('.').pop()];
-
-            if (lVal !== undefined && rVal !== undefined && String(lVal) === String(rVal)) {
-                result.push({ ...lRow, ...rRow });
-                matchedRightIndices.add(rIdx);
-                matchedLeftIndices.add(lIdx);
-                foundMatch = true;
-            }
-        });
-
-        // Handle OUTER logic for Left/Full
-        if (!foundMatch && (type.includes('left') || type.includes('full'))) {
-            const nullRight = Object.fromEntries(Object.keys(rightRows[0] || {}).map(k => [k, "NULL"]));
-            result.push({ ...lRow, ...nullRight });
-        }
-    });
-
-    // Handle OUTER logic for Right/Full
-    if (type.includes('right') || type.includes('full')) {
-        rightRows.forEach((rRow, rIdx) => {
-            if (!matchedRightIndices.has(rIdx)) {
-                const nullLeft = Object.fromEntries(Object.keys(leftRows[0] || {}).map(k => [k, "NULL"]));
-                result.push({ ...nullLeft, ...rRow });
-            }
-        });
-    }
-    return result;
+// Joins go through chatgpt.js's planner (hash or sort-merge join on the ON columns),
+// which resolves `city` as well as `friends.city` against the tables joined so far.
+// Both sides are compared as case-sensitive text, as this engine always has, so 2 matches "2".
+const asText = (col) => ({
+    type: 'collate', collation: 'binary',
+    expr: { type: 'cast', to: { name: normalizeType('text') }, try: false, expr: { type: 'column', path: col.split('.') } }
+});
+
+function performJoin(leftRows, rightRows, leftCol, rightCol, type, scope) {
+    const on = { type: 'binary', op: '=', left: asText(leftCol), right: asText(rightCol) };
+    return joinRows(leftRows, rightRows, { joinType: type.split(/\s+/)[0], on }, scope);
 }
 
 // --- 4. PARSER ---
@@ -160,13 +140,16 @@ async function executeQuery(sql, rootData) {
     let rows = resolvePath(parsed.baseTable, rootData) || [];
     const baseName = parsed.baseTable.split('.').pop();
     rows = rows.map(r => Object.fromEntries(Object.entries(r).map(([k, v]) => [`${baseName}.${k}`, v])));
+    const scope = createScope(rootData);
+    addToScope(scope, baseName, rows);
 
     // Execute Joins
     parsed.joins.forEach(join => {
         let joinData = resolvePath(join.table, rootData) || [];
         const joinName = join.table.split('.').pop();
         joinData = joinData.map(r => Object.fromEntries(Object.entries(r).map(([k, v]) => [`${joinName}.${k}`, v])));
-        rows = performJoin(rows, joinData, join.leftCol, join.rightCol, join.type);
+        addToScope(scope, joinName, joinData);
+        rows = performJoin(rows, joinData, join.leftCol, join.rightCol, join.type, scope);
     });
 
     // Filter
@@ -174,9 +157,13 @@ async function executeQuery(sql, rootData) {
         rows = rows.filter(row => {
             const m = parsed.whereClause.match(/(.+?)\s*(=|!=)\s*(.+)/);
             if (!m) return true;
-            const actual = String(row[m[1].trim()] ?? row[m[1].trim().split('.').pop()] ?? "").toLowerCase();
-            const target = m[3].trim().replace(/['"]/g, "").toLowerCase();
-            return m[2] === '=' ? actual === target : actual !== target;
+            // Same collation rules as the other engines: case-sensitive unless a session default says otherwise.
+            // A NULL column makes both = and != unknown, so the row is dropped.
+            const actual = row[m[1].trim()] ?? row[m[1].trim().split('.').pop()];
+            if (isMissing(actual)) return false;
+            const target = m[3].trim().replace(/['"]/g, "");
+            const equal = compareValues(String(actual), target) === 0;
+            return m[2] === '=' ? equal : !equal;
         });
     }
 
@@ -188,13 +175,18 @@ async function executeQuery(sql, rootData) {
             const hasMath = /[+\-*/]/.test(t.expr) && !t.expr.includes('(');
             if (funcMatch) {
                 const funcName = funcMatch[1].toLowerCase();
-                const args = funcMatch[2].split(',').map(a => a.trim().replace(/['"]/g, ''));
-                const resolved = args.map(arg => row[arg] ?? row[arg.split('.').pop()] ?? arg);
-                clean[t.alias] = sqlFunctions[funcName] ? sqlFunctions[funcName](resolved) : "NULL";
+                // Quoted and numeric arguments (and count's *) are literals, anything else names a column (NULL when missing)
+                const resolved = funcMatch[2].split(',').map(a => a.trim()).map(arg => {
+                    if (arg === '*') return arg;
+                    if (/^(['"]).*\1$/.test(arg)) return arg.slice(1, -1);
+                    if (arg !== '' && !isNaN(arg)) return Number(arg);
+                    return row[arg] ?? row[arg.split('.').pop()] ?? null;
+                });
+                clean[t.alias] = sqlFunctions[funcName] ? sqlFunctions[funcName](resolved) : null;
             } else if (hasMath) {
                 clean[t.alias] = evaluateArithmetic(t.expr, row);
             } else {
-                clean[t.alias] = row[t.expr] ?? row[t.expr.split('.').pop()] ?? "NULL";
+                clean[t.alias] = row[t.expr] ?? row[t.expr.split('.').pop()] ?? null;
             }
         });
         return clean;
@@ -214,13 +206,14 @@ async function executeQuery(sql, rootData) {
     return result;
 }
 
+// NULL is only a display form; the rows themselves hold null
 function formatAsMySQLTable(rows) {
     if (typeof rows === 'string') return rows;
     if (!rows || !rows.length) return "Empty set";
     const columns = Object.keys(rows[0]);
-    const widths = Object.fromEntries(columns.map(c => [c, Math.max(c.length, ...rows.map(r => String(r[c]).length))]));
+    const widths = Object.fromEntries(columns.map(c => [c, Math.max(c.length, ...rows.map(r => String(r[c] ?? "NULL").length))]));
     const line = () => "+" + columns.map(c => "-".repeat(widths[c] + 2)).join("+") + "+";
-    const rowStr = (vals) => "| " + vals.map((v, i) => String(v).padEnd(widths[columns[i]])).join(" | ") + " |";
+    const rowStr = (vals) => "| " + vals.map((v, i) => String(v ?? "NULL").padEnd(widths[columns[i]])).join(" | ") + " |";
     let output = line() + "\n" + rowStr(columns) + "\n" + line() + "\n";
     rows.forEach(r => output += rowStr(columns.map(c => r[c])) + "\n");
     return output + line();
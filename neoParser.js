@@ -1,131 +1,1075 @@
 const chevrotain = require("chevrotain");
-const readline = require('readline');
+const { normalizeType, castValue } = require('./evaluator');
 const { createToken, Lexer, EmbeddedActionsParser } = chevrotain;
 
 // --- TOKENS ---
 const WhiteSpace = createToken({ name: "WhiteSpace", pattern: /\s+/, group: Lexer.SKIPPED });
-const Select = createToken({ name: "Select", pattern: /SELECT/i });
-const From = createToken({ name: "From", pattern: /FROM/i });
-const Join = createToken({ name: "Join", pattern: /JOIN/i });
-const On = createToken({ name: "On", pattern: /ON/i });
-const Paginate = createToken({ name: "Paginate", pattern: /PAGINATE/i });
-const Comma = createToken({ name: "Comma", pattern: /,/ });
+const LineComment = createToken({ name: "LineComment", pattern: /--[^\n\r]*/, group: Lexer.SKIPPED });
+const Identifier = createToken({ name: "Identifier", pattern: /[a-zA-Z_$][a-zA-Z0-9_$]*/ });
+
+// Keywords fall back to Identifier when they are only a prefix (e.g. "orders", "fromDate")
+const keyword = (name, word, categories = []) => createToken({ name, pattern: new RegExp(word, "i"), longer_alt: Identifier, categories });
+
+// Non-reserved keywords are also names: a column called `first`, `rows` or `values`
+// (the identifier rule accepts every token in this category)
+const NonReserved = createToken({ name: "NonReserved", pattern: Lexer.NA });
+const softKeyword = (name, word) => keyword(name, word, [NonReserved]);
+
+const Select = keyword("Select", "SELECT");
+const Distinct = keyword("Distinct", "DISTINCT");
+const From = keyword("From", "FROM");
+const Where = keyword("Where", "WHERE");
+const Group = keyword("Group", "GROUP");
+const Having = keyword("Having", "HAVING");
+const Order = keyword("Order", "ORDER");
+const By = keyword("By", "BY");
+const Asc = keyword("Asc", "ASC");
+const Desc = keyword("Desc", "DESC");
+const Limit = keyword("Limit", "LIMIT");
+const Offset = keyword("Offset", "OFFSET");
+const As = keyword("As", "AS");
+const Inner = keyword("Inner", "INNER");
+const Left = keyword("Left", "LEFT");
+const Right = keyword("Right", "RIGHT");
+const Full = keyword("Full", "FULL");
+const Outer = keyword("Outer", "OUTER");
+const Join = keyword("Join", "JOIN");
+const Cross = keyword("Cross", "CROSS");
+const Natural = keyword("Natural", "NATURAL");
+const Using = keyword("Using", "USING");
+const On = keyword("On", "ON");
+const And = keyword("And", "AND");
+const Or = keyword("Or", "OR");
+const Not = keyword("Not", "NOT");
+const In = keyword("In", "IN");
+const Between = keyword("Between", "BETWEEN");
+const Like = keyword("Like", "LIKE");
+const Exists = keyword("Exists", "EXISTS");
+const Null = keyword("Null", "NULL");
+const True = keyword("True", "TRUE");
+const False = keyword("False", "FALSE");
+const With = keyword("With", "WITH");
+const Recursive = keyword("Recursive", "RECURSIVE");
+const Union = keyword("Union", "UNION");
+const All = keyword("All", "ALL");
+const Intersect = keyword("Intersect", "INTERSECT");
+const Except = keyword("Except", "EXCEPT");
+const Paginate = keyword("Paginate", "PAGINATE");
+const Over = softKeyword("Over", "OVER");
+const Partition = softKeyword("Partition", "PARTITION");
+const Window = softKeyword("Window", "WINDOW");
+const Rows = softKeyword("Rows", "ROWS");
+const Row = softKeyword("Row", "ROW");
+const Range = softKeyword("Range", "RANGE");
+const Unbounded = softKeyword("Unbounded", "UNBOUNDED");
+const Preceding = softKeyword("Preceding", "PRECEDING");
+const Following = softKeyword("Following", "FOLLOWING");
+const Current = softKeyword("Current", "CURRENT");
+const Nulls = softKeyword("Nulls", "NULLS");
+const First = softKeyword("First", "FIRST");
+const Last = softKeyword("Last", "LAST");
+const Collate = keyword("Collate", "COLLATE");
+const Is = keyword("Is", "IS");
+const Cast = keyword("Cast", "CAST");
+const TryCast = keyword("TryCast", "TRY_CAST");
+const Interval = keyword("Interval", "INTERVAL");
+const Extract = keyword("Extract", "EXTRACT");
+const Lateral = keyword("Lateral", "LATERAL");
+const For = keyword("For", "FOR");
+const Insert = softKeyword("Insert", "INSERT");
+const Into = softKeyword("Into", "INTO");
+const Values = softKeyword("Values", "VALUES");
+const Update = softKeyword("Update", "UPDATE");
+const Set = softKeyword("Set", "SET");
+const Delete = softKeyword("Delete", "DELETE");
+const Returning = keyword("Returning", "RETURNING");
+
+const NumberLiteral = createToken({ name: "NumberLiteral", pattern: /\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/ });
+const StringLiteral = createToken({ name: "StringLiteral", pattern: /'(?:[^']|'')*'/ });
+const QuotedIdentifier = createToken({ name: "QuotedIdentifier", pattern: /"(?:[^"]|"")*"|`[^`]*`/ });
+
+const JsonTextArrow = createToken({ name: "JsonTextArrow", pattern: /->>/ });
+const JsonArrow = createToken({ name: "JsonArrow", pattern: /->/ });
+const Concat = createToken({ name: "Concat", pattern: /\|\|/ });
+const NotEquals = createToken({ name: "NotEquals", pattern: /!=|<>/ });
+const LessEquals = createToken({ name: "LessEquals", pattern: /<=/ });
+const GreaterEquals = createToken({ name: "GreaterEquals", pattern: />=/ });
+const Less = createToken({ name: "Less", pattern: /</ });
+const Greater = createToken({ name: "Greater", pattern: />/ });
 const Equals = createToken({ name: "Equals", pattern: /=/ });
-const Identifier = createToken({ name: "Identifier", pattern: /[a-zA-Z_][a-zA-Z0-9._]*/ });
+const Plus = createToken({ name: "Plus", pattern: /\+/ });
+const Minus = createToken({ name: "Minus", pattern: /-/ });
+const Star = createToken({ name: "Star", pattern: /\*/ });
+const Slash = createToken({ name: "Slash", pattern: /\// });
+const Percent = createToken({ name: "Percent", pattern: /%/ });
+const LParen = createToken({ name: "LParen", pattern: /\(/ });
+const RParen = createToken({ name: "RParen", pattern: /\)/ });
+const LBracket = createToken({ name: "LBracket", pattern: /\[/ });
+const RBracket = createToken({ name: "RBracket", pattern: /\]/ });
+const Comma = createToken({ name: "Comma", pattern: /,/ });
+const DoubleColon = createToken({ name: "DoubleColon", pattern: /::/ });
+const Dot = createToken({ name: "Dot", pattern: /\./ });
+const Semicolon = createToken({ name: "Semicolon", pattern: /;/ });
 
-const allTokens = [WhiteSpace, Select, From, Join, On, Paginate, Comma, Equals, Identifier];
+const allTokens = [
+    WhiteSpace, LineComment, NonReserved,
+    Select, Distinct, From, Where, Group, Having, Order, By, Asc, Desc, Limit, Offset, As,
+    Inner, Left, Right, Full, Outer, Join, Cross, Natural, Using, On, And, Or, Not, Insert, Into, Intersect, Interval, In, Is, Between, Like, Exists,
+    Nulls, Null, True, False, With, Recursive, Union, All, Except, Paginate,
+    Over, Partition, Window, Rows, Row, Range, Unbounded, Preceding, Following, Current, First, Last, Collate, Cast, TryCast, Extract,
+    Lateral, For, Values, Update, Set, Delete, Returning,
+    Identifier, QuotedIdentifier, StringLiteral, NumberLiteral,
+    JsonTextArrow, JsonArrow, Concat, NotEquals, LessEquals, GreaterEquals, Less, Greater, Equals,
+    Plus, Minus, Star, Slash, Percent, LParen, RParen, LBracket, RBracket, Comma, DoubleColon, Dot, Semicolon
+];
 const SqlLexer = new Lexer(allTokens);
 
+// Non-reserved keywords that begin the clause after a table or select item, so they
+// are never taken as its bare alias (FROM t WINDOW w AS ..., UPDATE t SET ..., INSERT INTO t VALUES ...)
+const bareAliasStops = [Window, Set, Values];
+
 // --- PARSER ---
+// Produces a plain-object AST. Every expression node carries a `type`:
+// literal, column (a path of names and array indexes), star, function, unary, binary, in, between, like,
+// isnull, distinctfrom, exists, subquery, window (a function call with an
+// OVER clause), collate (an operand with a COLLATE clause) and cast.
+// Nested SELECTs are full `select` (or `compound`) statement nodes; a
+// statement may also be an `insert`, `update` or `delete` node.
 class SqlParser extends EmbeddedActionsParser {
     constructor() {
         super(allTokens);
         const $ = this;
+
+        $.RULE("statement", () => {
+            const query = $.OR([
+                { ALT: () => $.SUBRULE($.selectStatement) },
+                { ALT: () => $.SUBRULE($.insertStatement) },
+                { ALT: () => $.SUBRULE($.updateStatement) },
+                { ALT: () => $.SUBRULE($.deleteStatement) }
+            ]);
+            const hints = [];
+            $.MANY(() => {
+                const block = $.SUBRULE($.hintBlock);
+                $.ACTION(() => hints.push(...block));
+            });
+            $.OPTION(() => $.CONSUME(Semicolon));
+            return { ...query, hints };
+        });
+
+        // INSERT INTO data.friends [(name, city)] VALUES ('Ann', 'Paris'), (...) | SELECT ...
+        $.RULE("insertStatement", () => {
+            $.CONSUME(Insert);
+            $.CONSUME(Into);
+            const table = $.SUBRULE($.targetTable);
+            let columns = null;
+            $.OPTION(() => {
+                $.CONSUME(LParen);
+                columns = [];
+                $.AT_LEAST_ONE_SEP({ SEP: Comma, DEF: () => columns.push($.SUBRULE($.identifier)) });
+                $.CONSUME(RParen);
+            });
+            let values = null, query = null;
+            $.OR([
+                {
+                    ALT: () => {
+                        $.CONSUME(Values);
+                        values = [];
+                        $.AT_LEAST_ONE_SEP2({
+                            SEP: Comma,
+                            DEF: () => {
+                                $.CONSUME2(LParen);
+                                values.push($.SUBRULE($.expressionList));
+                                $.CONSUME2(RParen);
+                            }
+                        });
+                    }
+                },
+                { ALT: () => { query = $.SUBRULE($.selectStatement); } }
+            ]);
+            let returning = null;
+            $.OPTION2(() => { returning = $.SUBRULE($.returningClause); });
+            return { type: "insert", table, columns, values, query, returning };
+        });
+
+        // UPDATE data.friends SET city = 'Paris', address.zip = '75001' WHERE ...
+        $.RULE("updateStatement", () => {
+            $.CONSUME(Update);
+            const table = $.SUBRULE($.targetTable);
+            $.CONSUME(Set);
+            const set = [];
+            $.AT_LEAST_ONE_SEP({
+                SEP: Comma,
+                DEF: () => {
+                    const target = $.SUBRULE($.columnRef);
+                    $.CONSUME(Equals);
+                    const expr = $.SUBRULE($.expression);
+                    $.ACTION(() => {
+                        if (target.type === "star") throw new Error("SQL syntax error: SET needs a column, not *");
+                    });
+                    set.push({ path: target.path, expr });
+                }
+            });
+            let where = null, returning = null;
+            $.OPTION(() => { $.CONSUME(Where); where = $.SUBRULE2($.expression); });
+            $.OPTION2(() => { returning = $.SUBRULE($.returningClause); });
+            return { type: "update", table, set, where, returning };
+        });
+
+        // DELETE FROM data.friends WHERE ...
+        $.RULE("deleteStatement", () => {
+            $.CONSUME(Delete);
+            $.CONSUME(From);
+            const table = $.SUBRULE($.targetTable);
+            let where = null, returning = null;
+            $.OPTION(() => { $.CONSUME(Where); where = $.SUBRULE($.expression); });
+            $.OPTION2(() => { returning = $.SUBRULE($.returningClause); });
+            return { type: "delete", table, where, returning };
+        });
+
+        // The table an INSERT, UPDATE or DELETE changes: a path with an optional alias
+        $.RULE("targetTable", () => {
+            const parts = [$.SUBRULE($.identifier)];
+            $.MANY(() => { $.CONSUME(Dot); parts.push($.SUBRULE2($.identifier)); });
+            let alias = null;
+            $.OPTION({
+                GATE: () => !bareAliasStops.includes($.LA(1).tokenType),
+                DEF: () => {
+                    $.OPTION2(() => $.CONSUME(As));
+                    alias = $.SUBRULE3($.identifier);
+                }
+            });
+            return { type: "table", path: parts.join("."), alias };
+        });
+
+        // RETURNING *, id, name || '!' AS shout: select items over the changed rows
+        $.RULE("returningClause", () => {
+            $.CONSUME(Returning);
+            return $.SUBRULE($.selectList);
+        });
+
+        // [WITH ...] <select> [UNION | INTERSECT | EXCEPT <select>]... [ORDER BY] [LIMIT] [OFFSET]
+        // A plain SELECT stays a `select` node; set operations build `compound` nodes
+        // and the trailing ORDER BY / LIMIT belong to the combined result.
         $.RULE("selectStatement", () => {
+            let ctes = [];
+            $.OPTION(() => { ctes = $.SUBRULE($.withClause); });
+            const body = $.SUBRULE($.setExpression);
+
+            const orderBy = [];
+            $.OPTION2(() => {
+                $.CONSUME(Order);
+                $.CONSUME(By);
+                $.AT_LEAST_ONE_SEP({ SEP: Comma, DEF: () => orderBy.push($.SUBRULE($.orderItem)) });
+            });
+
+            let limit = null, offset = null;
+            $.OPTION3(() => { $.CONSUME(Limit); limit = Number($.CONSUME(NumberLiteral).image); });
+            $.OPTION4(() => { $.CONSUME(Offset); offset = Number($.CONSUME2(NumberLiteral).image); });
+
+            return $.ACTION(() => ({ ...body, ctes, orderBy, limit, offset }));
+        });
+
+        // UNION and EXCEPT are left-associative; INTERSECT binds tighter
+        $.RULE("setExpression", () => {
+            let left = $.SUBRULE($.intersectExpression);
+            $.MANY(() => {
+                const op = $.OR([
+                    { ALT: () => { $.CONSUME(Union); return "union"; } },
+                    { ALT: () => { $.CONSUME(Except); return "except"; } }
+                ]);
+                let all = false;
+                $.OPTION(() => { $.CONSUME(All); all = true; });
+                const right = $.SUBRULE2($.intersectExpression);
+                left = { type: "compound", op, all, left, right, ctes: [], orderBy: [], limit: null, offset: null };
+            });
+            return left;
+        });
+
+        $.RULE("intersectExpression", () => {
+            let left = $.SUBRULE($.selectCore);
+            $.MANY(() => {
+                $.CONSUME(Intersect);
+                let all = false;
+                $.OPTION(() => { $.CONSUME(All); all = true; });
+                const right = $.SUBRULE2($.selectCore);
+                left = { type: "compound", op: "intersect", all, left, right, ctes: [], orderBy: [], limit: null, offset: null };
+            });
+            return left;
+        });
+
+        $.RULE("selectCore", () => {
             $.CONSUME(Select);
-            const selectTokens = $.SUBRULE($.columnList);
-            $.CONSUME(From);
-            const baseTable = $.CONSUME(Identifier).image;
+            let distinct = false;
+            $.OPTION(() => { $.CONSUME(Distinct); distinct = true; });
+            const columns = $.SUBRULE($.selectList);
+
+            let from = null;
             const joins = [];
+            $.OPTION2(() => {
+                $.CONSUME(From);
+                from = $.SUBRULE($.tableRef);
+                $.MANY(() => $.OR([
+                    // FROM a, b is a cross join; its condition lives in WHERE
+                    { ALT: () => { $.CONSUME(Comma); joins.push({ joinType: "cross", table: $.SUBRULE2($.tableRef), on: null, using: null, natural: false }); } },
+                    { ALT: () => joins.push($.SUBRULE($.joinClause)) }
+                ]));
+            });
+
+            let where = null;
+            $.OPTION3(() => { $.CONSUME(Where); where = $.SUBRULE($.expression); });
+
+            let groupBy = [];
+            $.OPTION4(() => { $.CONSUME(Group); $.CONSUME(By); groupBy = $.SUBRULE($.expressionList); });
+
+            let having = null;
+            $.OPTION5(() => { $.CONSUME(Having); having = $.SUBRULE2($.expression); });
+
+            // WINDOW w AS (PARTITION BY ...), w2 AS (w ORDER BY ...)
+            const windows = [];
+            $.OPTION6(() => {
+                $.CONSUME(Window);
+                $.AT_LEAST_ONE_SEP({
+                    SEP: Comma,
+                    DEF: () => {
+                        const name = $.SUBRULE($.identifier);
+                        $.CONSUME(As);
+                        $.CONSUME(LParen);
+                        const spec = $.SUBRULE($.windowSpec);
+                        $.CONSUME(RParen);
+                        windows.push({ name, spec });
+                    }
+                });
+            });
+
+            return { type: "select", ctes: [], distinct, columns, from, joins, where, groupBy, having, windows, orderBy: [], limit: null, offset: null };
+        });
+
+        // Leading WITH [RECURSIVE] name [(col, ...)] AS (query), ... (the trailing WITH(...) is hints)
+        $.RULE("withClause", () => {
+            $.CONSUME(With);
+            let recursive = false;
+            $.OPTION(() => { $.CONSUME(Recursive); recursive = true; });
+            const ctes = [];
+            $.AT_LEAST_ONE_SEP({
+                SEP: Comma,
+                DEF: () => {
+                    const name = $.SUBRULE($.identifier);
+                    let columns = null;
+                    $.OPTION2(() => {
+                        $.CONSUME(LParen);
+                        columns = [];
+                        $.AT_LEAST_ONE_SEP2({ SEP: Comma, DEF: () => columns.push($.SUBRULE2($.identifier)) });
+                        $.CONSUME(RParen);
+                    });
+                    $.CONSUME(As);
+                    $.CONSUME2(LParen);
+                    const query = $.SUBRULE($.selectStatement);
+                    $.CONSUME2(RParen);
+                    ctes.push({ name, columns, query, recursive });
+                }
+            });
+            return ctes;
+        });
+
+        $.RULE("selectList", () => {
+            const items = [];
+            $.AT_LEAST_ONE_SEP({ SEP: Comma, DEF: () => items.push($.SUBRULE($.selectItem)) });
+            return items;
+        });
+
+        $.RULE("selectItem", () => $.OR([
+            { ALT: () => { $.CONSUME(Star); return { expr: { type: "star", table: null }, alias: "*" }; } },
+            {
+                ALT: () => {
+                    const start = $.ACTION(() => $.LA(1));
+                    const expr = $.SUBRULE($.expression);
+                    const end = $.ACTION(() => $.LA(0));
+                    let alias = null;
+                    $.OPTION({
+                        GATE: () => !bareAliasStops.includes($.LA(1).tokenType),
+                        DEF: () => {
+                            $.OPTION2(() => $.CONSUME(As));
+                            alias = $.SUBRULE($.identifier);
+                        }
+                    });
+                    return { expr, alias: alias ?? $.ACTION(() => $.defaultAlias(expr, start, end)) };
+                }
+            }
+        ]));
+
+        // A table path (data.friends), a derived table: (SELECT ...) AS t, or a table
+        // function: unnest(o.items) [WITH ORDINALITY] AS i. LATERAL lets a derived table
+        // see the columns of the tables before it; table functions always can.
+        $.RULE("tableRef", () => {
+            let lateral = false;
+            $.OPTION3(() => { $.CONSUME(Lateral); lateral = true; });
+            const ref = $.OR([
+                {
+                    ALT: () => {
+                        $.CONSUME(LParen);
+                        const query = $.SUBRULE($.selectStatement);
+                        $.CONSUME(RParen);
+                        return { type: "derived", query, lateral };
+                    }
+                },
+                {
+                    ALT: () => {
+                        const name = $.CONSUME(Identifier).image.toLowerCase();
+                        $.CONSUME2(LParen);
+                        const args = $.SUBRULE($.expressionList);
+                        $.CONSUME2(RParen);
+                        let ordinality = false;
+                        // WITH ORDINALITY, not the WITH(...) hint block that may end the statement;
+                        // ordinality is not a keyword because it also names the column it adds
+                        $.OPTION4({
+                            GATE: () => /^ordinality$/i.test($.LA(2).image),
+                            DEF: () => { $.CONSUME(With); $.CONSUME3(Identifier); ordinality = true; }
+                        });
+                        return { type: "function", name, args, ordinality };
+                    }
+                },
+                {
+                    ALT: () => {
+                        const parts = [$.SUBRULE($.identifier)];
+                        $.MANY(() => { $.CONSUME(Dot); parts.push($.SUBRULE2($.identifier)); });
+                        return { type: "table", path: parts.join(".") };
+                    }
+                }
+            ]);
+            let alias = null;
+            $.OPTION({
+                GATE: () => !bareAliasStops.includes($.LA(1).tokenType),
+                DEF: () => {
+                    $.OPTION2(() => $.CONSUME(As));
+                    alias = $.SUBRULE3($.identifier);
+                }
+            });
+            $.ACTION(() => {
+                if (ref.type === "derived" && !alias) throw new Error("SQL syntax error: subquery in FROM needs an alias");
+                if (ref.type === "table" && lateral) throw new Error(`SQL syntax error: LATERAL needs a subquery or table function, not ${ref.path}`);
+            });
+            return $.ACTION(() => ({ ...ref, alias }));
+        });
+
+        $.RULE("joinClause", () => $.OR([
+            {
+                ALT: () => {
+                    $.CONSUME(Cross);
+                    $.CONSUME(Join);
+                    return { joinType: "cross", table: $.SUBRULE($.tableRef), on: null, using: null, natural: false };
+                }
+            },
+            {
+                ALT: () => {
+                    let natural = false, joinType = "inner", on = null, using = null;
+                    $.OPTION(() => { $.CONSUME(Natural); natural = true; });
+                    $.OPTION2(() => $.OR2([
+                        { ALT: () => { $.CONSUME(Inner); } },
+                        { ALT: () => { $.CONSUME(Left); $.OPTION3(() => $.CONSUME(Outer)); joinType = "left"; } },
+                        { ALT: () => { $.CONSUME(Right); $.OPTION4(() => $.CONSUME2(Outer)); joinType = "right"; } },
+                        { ALT: () => { $.CONSUME(Full); $.OPTION5(() => $.CONSUME3(Outer)); joinType = "full"; } }
+                    ]));
+                    $.CONSUME2(Join);
+                    const table = $.SUBRULE2($.tableRef);
+                    $.OPTION6(() => $.OR3([
+                        { ALT: () => { $.CONSUME(On); on = $.SUBRULE($.expression); } },
+                        {
+                            ALT: () => {
+                                $.CONSUME(Using);
+                                $.CONSUME(LParen);
+                                using = [];
+                                $.AT_LEAST_ONE_SEP({ SEP: Comma, DEF: () => using.push($.SUBRULE($.identifier)) });
+                                $.CONSUME(RParen);
+                            }
+                        }
+                    ]));
+                    $.ACTION(() => {
+                        const name = table.alias || table.path || table.name;
+                        if (natural && (on || using)) throw new Error(`SQL syntax error: NATURAL JOIN ${name} cannot have ON or USING`);
+                        if (!natural && !on && !using) throw new Error(`SQL syntax error: JOIN ${name} needs ON or USING`);
+                    });
+                    return { joinType, table, on, using, natural };
+                }
+            }
+        ]));
+
+        $.RULE("orderItem", () => {
+            const expr = $.SUBRULE($.expression);
+            let direction = "asc";
+            $.OPTION(() => $.OR([
+                { ALT: () => { $.CONSUME(Asc); } },
+                { ALT: () => { $.CONSUME(Desc); direction = "desc"; } }
+            ]));
+            // NULLS FIRST / NULLS LAST; null means the default (nulls sort as the largest value)
+            let nulls = null;
+            $.OPTION2(() => {
+                $.CONSUME(Nulls);
+                $.OR2([
+                    { ALT: () => { $.CONSUME(First); nulls = "first"; } },
+                    { ALT: () => { $.CONSUME(Last); nulls = "last"; } }
+                ]);
+            });
+            return { expr, direction, nulls };
+        });
+
+        // Trailing execution hints: WITH(OutputJSON, Paginate), a bare PAGINATE or
+        // FOR JSON [PATH], which is WITH(OutputNested, OutputJSON)
+        $.RULE("hintBlock", () => $.OR([
+            { ALT: () => { $.CONSUME(Paginate); return ["paginate"]; } },
+            {
+                ALT: () => {
+                    $.CONSUME(For);
+                    const words = [$.CONSUME2(Identifier).image];
+                    $.OPTION(() => words.push($.CONSUME3(Identifier).image));
+                    $.ACTION(() => {
+                        if (!/^json( path)?$/i.test(words.join(" "))) throw new Error(`SQL syntax error: FOR ${words.join(" ")} is not supported, use FOR JSON [PATH]`);
+                    });
+                    return ["outputnested", "outputjson"];
+                }
+            },
+            {
+                ALT: () => {
+                    const hints = [];
+                    $.CONSUME(With);
+                    $.CONSUME(LParen);
+                    $.AT_LEAST_ONE_SEP({
+                        SEP: Comma,
+                        DEF: () => $.OR2([
+                            { ALT: () => hints.push($.CONSUME(Identifier).image.toLowerCase()) },
+                            { ALT: () => { $.CONSUME2(Paginate); hints.push("paginate"); } }
+                        ])
+                    });
+                    $.CONSUME(RParen);
+                    return hints;
+                }
+            }
+        ]));
+
+        // --- EXPRESSIONS (lowest to highest precedence) ---
+        $.RULE("standaloneExpression", () => $.SUBRULE($.expression));
+
+        $.RULE("expression", () => $.SUBRULE($.orExpression));
+
+        $.RULE("expressionList", () => {
+            const list = [];
+            $.AT_LEAST_ONE_SEP({ SEP: Comma, DEF: () => list.push($.SUBRULE($.expression)) });
+            return list;
+        });
+
+        $.RULE("orExpression", () => {
+            let left = $.SUBRULE($.andExpression);
+            $.MANY(() => {
+                $.CONSUME(Or);
+                const right = $.SUBRULE2($.andExpression);
+                left = { type: "binary", op: "or", left, right };
+            });
+            return left;
+        });
+
+        $.RULE("andExpression", () => {
+            let left = $.SUBRULE($.notExpression);
+            $.MANY(() => {
+                $.CONSUME(And);
+                const right = $.SUBRULE2($.notExpression);
+                left = { type: "binary", op: "and", left, right };
+            });
+            return left;
+        });
+
+        $.RULE("notExpression", () => $.OR([
+            { ALT: () => { $.CONSUME(Not); return { type: "unary", op: "not", operand: $.SUBRULE($.notExpression) }; } },
+            { ALT: () => $.SUBRULE($.predicate) }
+        ]));
+
+        $.RULE("predicate", () => {
+            let left = $.SUBRULE($.additiveExpression);
+            $.OPTION(() => $.OR([
+                {
+                    ALT: () => {
+                        const op = $.SUBRULE($.comparisonOperator);
+                        const right = $.SUBRULE2($.additiveExpression);
+                        left = { type: "binary", op, left, right };
+                    }
+                },
+                {
+                    ALT: () => {
+                        let not = false;
+                        $.OPTION2(() => { $.CONSUME(Not); not = true; });
+                        left = $.OR2([
+                            {
+                                ALT: () => {
+                                    $.CONSUME(In);
+                                    $.CONSUME(LParen);
+                                    let list = null, query = null;
+                                    $.OR3([
+                                        { ALT: () => { query = $.SUBRULE($.selectStatement); } },
+                                        { ALT: () => { list = $.SUBRULE($.expressionList); } }
+                                    ]);
+                                    $.CONSUME(RParen);
+                                    return { type: "in", expr: left, list, query, not };
+                                }
+                            },
+                            {
+                                ALT: () => {
+                                    $.CONSUME(Between);
+                                    const low = $.SUBRULE3($.additiveExpression);
+                                    $.CONSUME(And);
+                                    const high = $.SUBRULE4($.additiveExpression);
+                                    return { type: "between", expr: left, low, high, not };
+                                }
+                            },
+                            {
+                                ALT: () => {
+                                    $.CONSUME(Like);
+                                    const pattern = $.SUBRULE5($.additiveExpression);
+                                    return { type: "like", expr: left, pattern, not };
+                                }
+                            }
+                        ]);
+                    }
+                },
+                {
+                    // x IS [NOT] NULL, x IS [NOT] DISTINCT FROM y
+                    ALT: () => {
+                        $.CONSUME(Is);
+                        let not = false;
+                        $.OPTION3(() => { $.CONSUME2(Not); not = true; });
+                        left = $.OR4([
+                            { ALT: () => { $.CONSUME(Null); return { type: "isnull", expr: left, not }; } },
+                            {
+                                ALT: () => {
+                                    $.CONSUME(Distinct);
+                                    $.CONSUME(From);
+                                    const right = $.SUBRULE6($.additiveExpression);
+                                    return { type: "distinctfrom", left, right, not };
+                                }
+                            }
+                        ]);
+                    }
+                }
+            ]));
+            return left;
+        });
+
+        $.RULE("comparisonOperator", () => $.OR([
+            { ALT: () => { $.CONSUME(Equals); return "="; } },
+            { ALT: () => { $.CONSUME(NotEquals); return "!="; } },
+            { ALT: () => { $.CONSUME(LessEquals); return "<="; } },
+            { ALT: () => { $.CONSUME(GreaterEquals); return ">="; } },
+            { ALT: () => { $.CONSUME(Less); return "<"; } },
+            { ALT: () => { $.CONSUME(Greater); return ">"; } }
+        ]));
+
+        $.RULE("additiveExpression", () => {
+            let left = $.SUBRULE($.multiplicativeExpression);
+            $.MANY(() => {
+                const op = $.OR([
+                    { ALT: () => { $.CONSUME(Plus); return "+"; } },
+                    { ALT: () => { $.CONSUME(Minus); return "-"; } },
+                    { ALT: () => { $.CONSUME(Concat); return "||"; } }
+                ]);
+                const right = $.SUBRULE2($.multiplicativeExpression);
+                left = { type: "binary", op, left, right };
+            });
+            return left;
+        });
+
+        $.RULE("multiplicativeExpression", () => {
+            let left = $.SUBRULE($.unaryExpression);
             $.MANY(() => {
-                $.CONSUME(Join);
-                const tablePath = $.CONSUME2(Identifier).image;
-                $.CONSUME(On);
-                const left = $.CONSUME3(Identifier).image;
-                $.CONSUME(Equals);
-                const right = $.CONSUME4(Identifier).image;
-                joins.push({ tablePath, condition: [left, right] });
-            });
-            let shouldPaginate = false;
-            $.OPTION(() => { $.CONSUME(Paginate); shouldPaginate = true; });
-            return { selectTokens, baseTable, joins, shouldPaginate };
-        });
-        $.RULE("columnList", () => {
-            const cols = [$.SUBRULE($.columnItem)];
-            $.MANY(() => { $.CONSUME(Comma); cols.push($.SUBRULE2($.columnItem)); });
-            return cols;
-        });
-        $.RULE("columnItem", () => {
-            const expr = $.CONSUME(Identifier).image;
-            const alias = expr.includes('.') ? expr.split('.').pop() : expr;
-            return { expr, alias };
+                const op = $.OR([
+                    { ALT: () => { $.CONSUME(Star); return "*"; } },
+                    { ALT: () => { $.CONSUME(Slash); return "/"; } },
+                    { ALT: () => { $.CONSUME(Percent); return "%"; } }
+                ]);
+                const right = $.SUBRULE2($.unaryExpression);
+                left = { type: "binary", op, left, right };
+            });
+            return left;
+        });
+
+        $.RULE("unaryExpression", () => $.OR([
+            {
+                ALT: () => {
+                    $.CONSUME(Minus);
+                    const operand = $.SUBRULE($.unaryExpression);
+                    if (operand.type === "literal" && typeof operand.value === "number") return { type: "literal", value: -operand.value };
+                    return { type: "unary", op: "-", operand };
+                }
+            },
+            { ALT: () => { $.CONSUME(Plus); return $.SUBRULE2($.unaryExpression); } },
+            { ALT: () => $.SUBRULE($.postfixExpression) }
+        ]));
+
+        // name COLLATE nocase, name COLLATE 'de-DE', price::decimal(8, 2), meta->'source'->>'channel'
+        $.RULE("postfixExpression", () => {
+            let expr = $.SUBRULE($.primaryExpression);
+            $.MANY(() => $.OR([
+                {
+                    ALT: () => {
+                        $.CONSUME(Collate);
+                        const collation = $.OR2([
+                            { ALT: () => $.SUBRULE($.identifier) },
+                            { ALT: () => $.CONSUME(StringLiteral).image.slice(1, -1).replace(/''/g, "'") }
+                        ]);
+                        expr = { type: "collate", expr, collation };
+                    }
+                },
+                {
+                    ALT: () => {
+                        $.CONSUME(DoubleColon);
+                        const to = $.SUBRULE($.typeName);
+                        expr = $.ACTION(() => castNode(expr, to, false));
+                    }
+                },
+                {
+                    // -> keeps the JSON value it finds, ->> gives it as text
+                    ALT: () => {
+                        const op = $.OR3([
+                            { ALT: () => { $.CONSUME(JsonArrow); return "->"; } },
+                            { ALT: () => { $.CONSUME(JsonTextArrow); return "->>"; } }
+                        ]);
+                        const key = $.SUBRULE2($.primaryExpression);
+                        expr = { type: "binary", op, left: expr, right: key };
+                    }
+                }
+            ]));
+            return expr;
+        });
+
+        // integer, text, decimal(10, 2), varchar(20); unknown names fail while parsing
+        $.RULE("typeName", () => {
+            const nameToken = $.OR([
+                { ALT: () => $.CONSUME(Identifier) },
+                { ALT: () => $.CONSUME(Interval) }
+            ]);
+            const to = {};
+            $.OPTION(() => {
+                $.CONSUME(LParen);
+                to.precision = Number($.CONSUME(NumberLiteral).image);
+                $.OPTION2(() => {
+                    $.CONSUME(Comma);
+                    to.scale = Number($.CONSUME2(NumberLiteral).image);
+                });
+                $.CONSUME(RParen);
+            });
+            return $.ACTION(() => ({ name: normalizeType(nameToken.image), ...to }));
+        });
+
+        $.RULE("primaryExpression", () => $.OR([
+            { ALT: () => $.SUBRULE($.literal) },
+            {
+                ALT: () => {
+                    $.CONSUME(Exists);
+                    $.CONSUME3(LParen);
+                    const query = $.SUBRULE($.selectStatement);
+                    $.CONSUME3(RParen);
+                    return { type: "exists", query };
+                }
+            },
+            {
+                // Scalar subquery: (SELECT max(age) FROM friends)
+                ALT: () => {
+                    $.CONSUME2(LParen);
+                    const query = $.SUBRULE2($.selectStatement);
+                    $.CONSUME2(RParen);
+                    return { type: "subquery", query };
+                }
+            },
+            {
+                ALT: () => {
+                    $.CONSUME(LParen);
+                    const expr = $.SUBRULE($.expression);
+                    $.CONSUME(RParen);
+                    return expr;
+                }
+            },
+            {
+                // CAST(x AS integer) raises on bad input, TRY_CAST(x AS integer) gives NULL
+                ALT: () => {
+                    const isTry = $.OR2([
+                        { ALT: () => { $.CONSUME(Cast); return false; } },
+                        { ALT: () => { $.CONSUME(TryCast); return true; } }
+                    ]);
+                    $.CONSUME4(LParen);
+                    const expr = $.SUBRULE2($.expression);
+                    $.CONSUME(As);
+                    const to = $.SUBRULE($.typeName);
+                    $.CONSUME4(RParen);
+                    return $.ACTION(() => castNode(expr, to, isTry));
+                }
+            },
+            {
+                // INTERVAL '7 days' is a cast, so a malformed interval fails while parsing
+                ALT: () => {
+                    $.CONSUME(Interval);
+                    const text = $.CONSUME2(StringLiteral).image.slice(1, -1).replace(/''/g, "'");
+                    return $.ACTION(() => castNode({ type: "literal", value: text }, { name: "interval" }, false));
+                }
+            },
+            {
+                // EXTRACT(month FROM shipped) is date_part('month', shipped)
+                ALT: () => {
+                    $.CONSUME(Extract);
+                    $.CONSUME5(LParen);
+                    const part = $.SUBRULE2($.identifier);
+                    $.CONSUME(From);
+                    const expr = $.SUBRULE3($.expression);
+                    $.CONSUME5(RParen);
+                    return { type: "function", name: "date_part", args: [{ type: "literal", value: part }, expr], star: false, distinct: false, orderBy: [] };
+                }
+            },
+            { ALT: () => $.SUBRULE($.functionCall) },
+            { ALT: () => $.SUBRULE($.columnRef) }
+        ]));
+
+        // count(*), sum(price * qty), count(DISTINCT city), string_agg(name, ', ' ORDER BY name)
+        $.RULE("functionCall", () => {
+            const name = $.CONSUME(Identifier).image.toLowerCase();
+            $.CONSUME(LParen);
+            let args = [], star = false, distinct = false;
+            const orderBy = [];
+            $.OPTION(() => $.OR([
+                { ALT: () => { $.CONSUME(Star); star = true; } },
+                {
+                    ALT: () => {
+                        $.OPTION2(() => { $.CONSUME(Distinct); distinct = true; });
+                        args = $.SUBRULE($.expressionList);
+                        $.OPTION3(() => {
+                            $.CONSUME(Order);
+                            $.CONSUME(By);
+                            $.AT_LEAST_ONE_SEP({ SEP: Comma, DEF: () => orderBy.push($.SUBRULE($.orderItem)) });
+                        });
+                    }
+                }
+            ]));
+            $.CONSUME(RParen);
+            let window = null;
+            $.OPTION4(() => { $.CONSUME(Over); window = $.SUBRULE($.windowRef); });
+            return window
+                ? { type: "window", name, args, star, distinct, orderBy, window }
+                : { type: "function", name, args, star, distinct, orderBy };
+        });
+
+        // OVER w  or  OVER ([w] [PARTITION BY ...] [ORDER BY ...] [ROWS | RANGE ...])
+        $.RULE("windowRef", () => $.OR([
+            { ALT: () => ({ base: $.SUBRULE($.identifier), partitionBy: [], orderBy: [], frame: null }) },
+            {
+                ALT: () => {
+                    $.CONSUME(LParen);
+                    const spec = $.SUBRULE($.windowSpec);
+                    $.CONSUME(RParen);
+                    return spec;
+                }
+            }
+        ]));
+
+        $.RULE("windowSpec", () => {
+            let base = null;
+            $.OPTION({
+                GATE: () => ![Partition, Rows, Range].includes($.LA(1).tokenType),
+                DEF: () => { base = $.SUBRULE($.identifier); }
+            });
+            let partitionBy = [];
+            $.OPTION2(() => { $.CONSUME(Partition); $.CONSUME(By); partitionBy = $.SUBRULE($.expressionList); });
+            const orderBy = [];
+            $.OPTION3(() => {
+                $.CONSUME(Order);
+                $.CONSUME2(By);
+                $.AT_LEAST_ONE_SEP({ SEP: Comma, DEF: () => orderBy.push($.SUBRULE($.orderItem)) });
+            });
+            let frame = null;
+            $.OPTION4(() => { frame = $.SUBRULE($.frameClause); });
+            return { base, partitionBy, orderBy, frame };
+        });
+
+        // ROWS BETWEEN 2 PRECEDING AND CURRENT ROW; a lone bound ends at the current row
+        $.RULE("frameClause", () => {
+            const unit = $.OR([
+                { ALT: () => { $.CONSUME(Rows); return "rows"; } },
+                { ALT: () => { $.CONSUME(Range); return "range"; } }
+            ]);
+            let start = null, end = { type: "current", offset: 0 };
+            $.OR2([
+                {
+                    ALT: () => {
+                        $.CONSUME(Between);
+                        start = $.SUBRULE($.frameBound);
+                        $.CONSUME(And);
+                        end = $.SUBRULE2($.frameBound);
+                    }
+                },
+                { ALT: () => { start = $.SUBRULE3($.frameBound); } }
+            ]);
+            return { unit, start, end };
+        });
+
+        // UNBOUNDED is an offset of Infinity
+        $.RULE("frameBound", () => {
+            let offset = 0;
+            return $.OR([
+                { ALT: () => { $.CONSUME(Current); $.CONSUME(Row); return { type: "current", offset }; } },
+                {
+                    ALT: () => {
+                        $.OR2([
+                            { ALT: () => { $.CONSUME(Unbounded); offset = Infinity; } },
+                            { ALT: () => { offset = Number($.CONSUME(NumberLiteral).image); } }
+                        ]);
+                        return $.OR3([
+                            { ALT: () => { $.CONSUME(Preceding); return { type: "preceding", offset }; } },
+                            { ALT: () => { $.CONSUME(Following); return { type: "following", offset }; } }
+                        ]);
+                    }
+                }
+            ]);
+        });
+
+        // `friends.name` stays a path; the engine decides whether the head is a table
+        // and where the column ends. `items[2].sku` steps into nested values: numbers
+        // index arrays (from 0), names and ['quoted keys'] pick object members.
+        $.RULE("columnRef", () => {
+            const path = [$.SUBRULE($.identifier)];
+            let star = false;
+            $.MANY(() => $.OR([
+                {
+                    ALT: () => {
+                        $.CONSUME(Dot);
+                        $.OR2([
+                            { ALT: () => { path.push($.SUBRULE2($.identifier)); } },
+                            { ALT: () => { $.CONSUME(Star); star = true; } }
+                        ]);
+                    }
+                },
+                {
+                    ALT: () => {
+                        $.CONSUME(LBracket);
+                        const step = $.OR3([
+                            { ALT: () => Number($.CONSUME(NumberLiteral).image) },
+                            { ALT: () => $.CONSUME(StringLiteral).image.slice(1, -1).replace(/''/g, "'") }
+                        ]);
+                        $.CONSUME(RBracket);
+                        $.ACTION(() => {
+                            if (typeof step === "number" && !Number.isInteger(step)) throw new Error(`Array index must be an integer, got ${step}`);
+                            path.push(step);
+                        });
+                    }
+                }
+            ]));
+            return star ? { type: "star", table: path.join(".") } : { type: "column", path };
         });
+
+        $.RULE("identifier", () => $.OR([
+            { ALT: () => $.CONSUME(Identifier).image },
+            { ALT: () => $.CONSUME(NonReserved).image },
+            {
+                ALT: () => {
+                    const image = $.CONSUME(QuotedIdentifier).image;
+                    return image.startsWith('"') ? image.slice(1, -1).replace(/""/g, '"') : image.slice(1, -1);
+                }
+            }
+        ]));
+
+        $.RULE("literal", () => $.OR([
+            { ALT: () => ({ type: "literal", value: Number($.CONSUME(NumberLiteral).image) }) },
+            { ALT: () => ({ type: "literal", value: $.CONSUME(StringLiteral).image.slice(1, -1).replace(/''/g, "'") }) },
+            { ALT: () => { $.CONSUME(True); return { type: "literal", value: true }; } },
+            { ALT: () => { $.CONSUME(False); return { type: "literal", value: false }; } },
+            { ALT: () => { $.CONSUME(Null); return { type: "literal", value: null }; } }
+        ]));
+
         this.performSelfAnalysis();
     }
+
+    // Unaliased columns keep their last path segment; anything else keeps its source text
+    defaultAlias(expr, start, end) {
+        if (expr.type === "column" && typeof expr.path[expr.path.length - 1] === "string") return expr.path[expr.path.length - 1];
+        if (["collate", "cast"].includes(expr.type) && expr.expr.type === "column") return this.defaultAlias(expr.expr, start, end);
+        return this.source.slice(start.startOffset, end.endOffset + 1).replace(/\s+/g, " ");
+    }
 }
 const parser = new SqlParser();
 
-// --- PAGER & FORMATTER ---
+// A literal that can never be converted is a type error while parsing: CAST('abc' AS integer)
+function castNode(expr, to, isTry) {
+    if (expr.type === "literal" && !isTry) castValue(expr.value, to);
+    return { type: "cast", expr, to, try: isTry };
+}
+
+function runParser(text, rule) {
+    const lexResult = SqlLexer.tokenize(text);
+    if (lexResult.errors.length) {
+        const e = lexResult.errors[0];
+        throw new Error(`SQL syntax error at line ${e.line}, column ${e.column}: ${e.message}`);
+    }
+    parser.source = text;
+    parser.input = lexResult.tokens;
+    const ast = parser[rule]();
+    if (parser.errors.length) {
+        const e = parser.errors[0];
+        const where = isNaN(e.token.startLine) ? "end of input" : `line ${e.token.startLine}, column ${e.token.startColumn}`;
+        throw new Error(`SQL syntax error at ${where}: ${e.message}`);
+    }
+    return ast;
+}
+
+function parseSQL(sql) {
+    return runParser(sql, "statement");
+}
+
+function parseExpression(text) {
+    return runParser(text, "standaloneExpression");
+}
+
+// Turns an expression node back into SQL text (used to match aggregates to column headers)
+function formatExpression(node) {
+    const wrap = (child) => ["binary", "in", "between", "like", "isnull", "distinctfrom"].includes(child.type) ? `(${formatExpression(child)})` : formatExpression(child);
+    switch (node.type) {
+        case "literal":
+            if (node.value === null) return "NULL";
+            if (typeof node.value === "string") return `'${node.value.replace(/'/g, "''")}'`;
+            return String(node.value).toUpperCase();
+        case "column": return node.path.map((p, i) => typeof p === "number" ? `[${p}]` : i ? `.${p}` : p).join("");
+        case "star": return node.table ? `${node.table}.*` : "*";
+        case "function": {
+            if (node.star) return `${node.name}(*)`;
+            const order = node.orderBy && node.orderBy.length
+                ? ` ORDER BY ${node.orderBy.map(o => `${formatExpression(o.expr)}${o.direction === "desc" ? " DESC" : ""}${o.nulls ? ` NULLS ${o.nulls.toUpperCase()}` : ""}`).join(", ")}`
+                : "";
+            return `${node.name}(${node.distinct ? "DISTINCT " : ""}${node.args.map(formatExpression).join(", ")}${order})`;
+        }
+        case "window": return `${formatExpression({ ...node, type: "function" })} OVER (...)`;
+        case "cast": {
+            const size = node.to.precision !== undefined ? `(${[node.to.precision, node.to.scale].filter(n => n !== undefined).join(", ")})` : "";
+            return `${node.try ? "TRY_CAST" : "CAST"}(${formatExpression(node.expr)} AS ${node.to.name}${size})`;
+        }
+        case "collate": return `${wrap(node.expr)} COLLATE ${/^\w+$/.test(node.collation) ? node.collation : `'${node.collation}'`}`;
+        case "unary": return node.op === "not" ? `NOT ${wrap(node.operand)}` : `-${wrap(node.operand)}`;
+        case "binary": return `${wrap(node.left)} ${node.op.toUpperCase()} ${wrap(node.right)}`;
+        case "in": return `${wrap(node.expr)}${node.not ? " NOT" : ""} IN (${node.query ? "SELECT ..." : node.list.map(formatExpression).join(", ")})`;
+        case "exists": return "EXISTS (SELECT ...)";
+        case "subquery": return "(SELECT ...)";
+        case "between": return `${wrap(node.expr)}${node.not ? " NOT" : ""} BETWEEN ${wrap(node.low)} AND ${wrap(node.high)}`;
+        case "like": return `${wrap(node.expr)}${node.not ? " NOT" : ""} LIKE ${wrap(node.pattern)}`;
+        case "isnull": return `${wrap(node.expr)} IS${node.not ? " NOT" : ""} NULL`;
+        case "distinctfrom": return `${wrap(node.left)} IS${node.not ? " NOT" : ""} DISTINCT FROM ${wrap(node.right)}`;
+        default: return `<${node.type}>`;
+    }
+}
+
+// --- FORMATTER ---
 function formatAsMySQLTable(rows) {
     if (!rows.length) return "Empty set";
     const columns = Object.keys(rows[0]);
     const widths = {};
-    columns.forEach(col => widths[col] = Math.max(col.length, ...rows.map(r => String(r[col]).length)));
+    columns.forEach(col => widths[col] = Math.max(col.length, ...rows.map(r => String(r[col] ?? "NULL").length)));
     const line = () => "+" + columns.map(c => "-".repeat(widths[c] + 2)).join("+") + "+";
-    const rowStr = (vals) => "| " + vals.map((v, i) => String(v).padEnd(widths[columns[i]])).join(" | ") + " |";
+    const rowStr = (vals) => "| " + vals.map((v, i) => String(v ?? "NULL").padEnd(widths[columns[i]])).join(" | ") + " |";
     let output = line() + "\n" + rowStr(columns) + "\n" + line() + "\n";
     rows.forEach(r => output += rowStr(columns.map(c => r[c])) + "\n");
     return output + line();
 }
 
-async function startPager(rows, pageSize = 5) {
-    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
-    let offset = 0;
-    while (offset < rows.length) {
-        console.clear();
-        const page = rows.slice(offset, offset + pageSize);
-        console.log(`\n--- Rows ${offset + 1} to ${Math.min(offset + pageSize, rows.length)} of ${rows.length} ---`);
-        console.log(formatAsMySQLTable(page));
-        if (offset + pageSize >= rows.length) {
-            await new Promise(res => rl.question('End of data. Press [ENTER] to exit.', res));
-            break;
-        }
-        const input = await new Promise(res => rl.question('Press [ENTER] for next, or ":q" to quit: ', res));
-        if (input.toLowerCase() === ':q') break;
-        offset += pageSize;
-    }
-    rl.close();
-}
-
-// --- ENGINE ---
-async function executeQuery(sql, rootData) {
-    const lexResult = SqlLexer.tokenize(sql);
-    parser.input = lexResult.tokens;
-    const parsed = parser.selectStatement();
-
-    let rows = (rootData[parsed.baseTable] || []).map(r => {
-        const ns = {};
-        Object.keys(r).forEach(k => ns[`${parsed.baseTable}.${k}`] = r[k]);
-        return { ...r, ...ns };
-    });
-
-    parsed.joins.forEach(join => {
-        const nextData = rootData[join.tablePath] || [];
-        const [lCol, rCol] = join.condition;
-        const newRows = [];
-        rows.forEach(exRow => {
-            const matches = nextData.filter(m => String(exRow[lCol] || exRow[lCol.split('.').pop()]) === String(m[rCol] || m[rCol.split('.').pop()]));
-            matches.forEach(m => {
-                const nsMatch = {};
-                Object.keys(m).forEach(k => nsMatch[`${join.tablePath}.${k}`] = m[k]);
-                newRows.push({ ...exRow, ...m, ...nsMatch });
-            });
-        });
-        rows = newRows;
-    });
-
-    const results = rows.map(row => {
-        const res = {};
-        parsed.selectTokens.forEach(t => res[t.alias] = row[t.expr] ?? row[t.alias] ?? "NULL");
-        return res;
-    });
-
-    if (parsed.shouldPaginate) {
-        await startPager(results, 5);
-    } else {
-        console.log(formatAsMySQLTable(results));
-    }
-}
+module.exports = { SqlLexer, SqlParser, parseSQL, parseExpression, formatExpression, formatAsMySQLTable };
 
 // --- DATA ---
 const data = {
@@ -151,11 +1095,14 @@ const data = {
 };
 
 // --- TEST ---
+// The demo runs on chatgpt.js, the engine built on this parser, so every join form works.
 // Use PAGINATE keyword to trigger the interactive mode
-const sql = `SELECT friends.name, cities.cityName, countries.countryName 
-             FROM friends 
-             JOIN cities ON city = cityName 
-             JOIN countries ON countryCode = code 
+const sql = `SELECT friends.name, cities.cityName, countries.countryName
+             FROM friends
+             JOIN cities ON city = cityName
+             JOIN countries ON countryCode = code
              PAGINATE`;
 
-executeQuery(sql, data);
\ No newline at end of file
+if (require.main === module) {
+    require('./chatgpt').executeQuery(sql, data).catch(err => console.error(`SQL Error: ${err.message}`));
+}
@@ -1,17 +1,7 @@
 // --- 1. REGISTRIES & HELPERS ---
-const sqlFunctions = {
-    "upper": (args) => String(args[0] ?? "").toUpperCase(),
-    "lower": (args) => String(args[0] ?? "").toLowerCase(),
-    ...Object.getOwnPropertyNames(Math).reduce((acc, name) => {
-        if (typeof Math[name] === 'function') {
-            acc[name.toLowerCase()] = (args) => Math[name](...args.map(a => parseFloat(a || 0)));
-        }
-        return acc;
-    }, {}),
-    "count": (args) => args.length,
-};
-
-const sqlConstants = { "e": Math.E, "pi": Math.PI };
+// Math registry, string functions and the e/pi constants are shared with the other engines
+const { parseExpression, formatExpression } = require('./neoParser');
+const { evaluateExpression: evaluateNode, collectAggregates, isTruthy } = require('./evaluator');
 
 function resolvePath(path, scope) {
     if (!path) return null;
@@ -25,22 +15,31 @@ function resolvePath(path, scope) {
     return current;
 }
 
-function evaluateExpression(expr, row) {
-    let evalStr = expr.replace(/COUNT\(\*\)/gi, "COUNT_ALL");
-    const safeRow = { ...row };
-    if (row["COUNT(*)"] !== undefined) safeRow["COUNT_ALL"] = row["COUNT(*)"];
-
-    evalStr = evalStr.replace(/[a-zA-Z_][a-zA-Z0-9_]*/g, (match) => {
-        const m = match.toLowerCase();
-        if (m === "true" || m === "false") return m;
-        if (sqlFunctions[m]) return `sqlFunctions.${m}`;
-        if (safeRow[match] !== undefined) return JSON.stringify(safeRow[match]);
-        return match;
-    });
+// Parses the expression once and returns a function that walks the tree for one row;
+// nothing is ever run as JavaScript. Aggregates such as COUNT(*) are read back from
+// the grouped row by their header text.
+function compileExpression(expr) {
+    const ast = parseExpression(expr);
+    const normalize = (text) => text.replace(/\s+/g, "").toLowerCase();
+    const aggregateNodes = collectAggregates(ast).map(node => [node, normalize(formatExpression(node))]);
+
+    return (row) => {
+        const aggregates = new Map();
+        aggregateNodes.forEach(([node, text]) => {
+            const key = Object.keys(row).find(k => normalize(k) === text);
+            if (key === undefined) throw new Error(`Aggregate ${formatExpression(node)} is not available in this row`);
+            aggregates.set(node, row[key]);
+        });
 
-    try {
-        return new Function('sqlFunctions', `return ${evalStr}`)(sqlFunctions);
-    } catch (e) { return false; }
+        return evaluateNode(ast, {
+            lookup: (path) => {
+                const key = path.join(".");
+                if (!Object.hasOwn(row, key)) throw new Error(`Unknown column: ${key}`);
+                return row[key];
+            },
+            aggregates
+        });
+    };
 }
 
 // --- 2. PARSER ---
@@ -64,15 +63,26 @@ function getSelectTokensFromPart(expr) {
     return result;
 }
 
+// Finds a clause keyword outside parentheses, so the ORDER BY inside OVER (...) is skipped
+function clauseIndex(lower, keyword) {
+    let depth = 0;
+    for (let i = 0; i < lower.length; i++) {
+        if (lower[i] === "(") depth++;
+        if (lower[i] === ")") depth--;
+        if (depth === 0 && lower.startsWith(keyword, i)) return i;
+    }
+    return -1;
+}
+
 function parseSQL(sql) {
     const lower = sql.toLowerCase();
-    const selectIdx = lower.indexOf("select");
-    const fromIdx = lower.indexOf("from");
-    const whereIdx = lower.indexOf("where");
-    const groupIdx = lower.indexOf("group by");
-    const havingIdx = lower.indexOf("having");
-    const orderIdx = lower.indexOf("order by");
-    const limitIdx = lower.indexOf("limit");
+    const selectIdx = clauseIndex(lower, "select");
+    const fromIdx = clauseIndex(lower, "from");
+    const whereIdx = clauseIndex(lower, "where");
+    const groupIdx = clauseIndex(lower, "group by");
+    const havingIdx = clauseIndex(lower, "having");
+    const orderIdx = clauseIndex(lower, "order by");
+    const limitIdx = clauseIndex(lower, "limit");
 
     const getNextIdx = (curr) => {
         const next = [whereIdx, groupIdx, havingIdx, orderIdx, limitIdx].filter(i => i > curr);
@@ -82,7 +92,7 @@ function parseSQL(sql) {
     const selectPart = sql.slice(selectIdx + 6, fromIdx).trim();
     const selectTokens = getSelectTokensFromPart(selectPart).map(token => ({
         ...token,
-        isWindow: /row_number\s*\(\s*\)\s+over/i.test(token.expr)
+        isWindow: /^(row_number|rank|dense_rank)\s*\(\s*\)\s+over/i.test(token.expr)
     }));
 
     return {
@@ -129,22 +139,44 @@ function applyGroupBy(rows, groupingColumnsStr, selectTokens) {
     });
 }
 
-function applyOrderBy(rows, orderClause) {
-    if (!orderClause) return rows;
-    const orders = orderClause.split(",").map(p => {
+function parseOrderBy(orderClause) {
+    return orderClause.split(",").map(p => {
         const t = p.trim().split(/\s+/);
         return { expr: t[0], dir: (t[1] || "ASC").toUpperCase() };
     });
-    return [...rows].sort((a, b) => {
-        for (const { expr, dir } of orders) {
-            let av = a[expr], bv = b[expr];
-            const na = Number(av), nb = Number(bv);
-            if (!isNaN(na) && !isNaN(nb)) { av = na; bv = nb; }
-            if (av < bv) return dir === "ASC" ? -1 : 1;
-            if (av > bv) return dir === "ASC" ? 1 : -1;
-        }
-        return 0;
+}
+
+function compareRows(a, b, orders) {
+    for (const { expr, dir } of orders) {
+        let av = a[expr], bv = b[expr];
+        const na = Number(av), nb = Number(bv);
+        if (!isNaN(na) && !isNaN(nb)) { av = na; bv = nb; }
+        if (av < bv) return dir === "ASC" ? -1 : 1;
+        if (av > bv) return dir === "ASC" ? 1 : -1;
+    }
+    return 0;
+}
+
+function applyOrderBy(rows, orderClause) {
+    if (!orderClause) return rows;
+    const orders = parseOrderBy(orderClause);
+    return [...rows].sort((a, b) => compareRows(a, b, orders));
+}
+
+// Numbers the rows in the order of the window's own OVER (ORDER BY ...); rank and dense_rank
+// give tied rows the same number, row_number does not. Returns a map from row to its number.
+function applyWindow(rows, token) {
+    const func = token.expr.match(/^\w+/)[0].toLowerCase();
+    const over = token.expr.match(/over\s*\(\s*order\s+by\s+([\s\S]*)\)\s*$/i);
+    const orders = over ? parseOrderBy(over[1]) : [];
+    const values = new Map();
+    let rank = 0, dense = 0;
+    applyOrderBy(rows, over ? over[1] : null).forEach((row, index, sorted) => {
+        const tied = index > 0 && orders.length > 0 && compareRows(sorted[index - 1], row, orders) === 0;
+        if (!tied) { rank = index + 1; dense++; }
+        values.set(row, func === "rank" ? rank : func === "dense_rank" ? dense : index + 1);
     });
+    return values;
 }
 
 function executeQuery(sql, rootData) {
@@ -152,45 +184,39 @@ function executeQuery(sql, rootData) {
     const sourceData = resolvePath(parsed.fromClause, rootData);
     if (!Array.isArray(sourceData)) return [];
 
-    let rows = sourceData.filter(row => {
-        if (!parsed.whereClause) return true;
-        const js = parsed.whereClause.replace(/=/g, '==').replace(/\bAND\b/gi, '&&').replace(/\bOR\b/gi, '||');
-        return Boolean(evaluateExpression(js, row));
-    });
+    // Each clause is parsed once, then evaluated per row
+    const where = parsed.whereClause ? compileExpression(parsed.whereClause) : null;
+    let rows = sourceData.filter(row => !where || isTruthy(where(row)));
 
+    // Windows see the grouped and filtered rows and are numbered before the final ORDER BY;
+    // without GROUP BY they run on the source rows, so OVER (ORDER BY ...) may use unselected columns
+    const windowTokens = parsed.selectTokens.filter(t => t.isWindow);
     if (parsed.groupBy) {
         rows = applyGroupBy(rows, parsed.groupBy, parsed.selectTokens);
         if (parsed.havingClause) {
-            const jsH = parsed.havingClause.replace(/=/g, '==').replace(/\bAND\b/gi, '&&').replace(/\bOR\b/gi, '||');
-            rows = rows.filter(row => Boolean(evaluateExpression(jsH, row)));
+            const having = compileExpression(parsed.havingClause);
+            rows = rows.filter(row => isTruthy(having(row)));
         }
+        windowTokens.forEach(t => applyWindow(rows, t).forEach((value, row) => { row[t.alias] = value; }));
     } else {
+        const windows = new Map(windowTokens.map(t => [t, applyWindow(rows, t)]));
         rows = rows.map(row => {
             const obj = {};
-            parsed.selectTokens.forEach(t => { if (!t.isWindow) obj[t.alias] = row[t.expr] ?? t.expr; });
+            parsed.selectTokens.forEach(t => { obj[t.alias] = t.isWindow ? windows.get(t).get(row) : row[t.expr] ?? t.expr; });
             return obj;
         });
     }
 
-    rows = applyOrderBy(rows, parsed.orderClause);
-
-    const windowTokens = parsed.selectTokens.filter(t => t.isWindow);
-    if (windowTokens.length > 0) {
-        rows = rows.map((row, index) => {
-            windowTokens.forEach(t => { row[t.alias] = index + 1; });
-            return row;
-        });
-    }
-    return rows;
+    return applyOrderBy(rows, parsed.orderClause);
 }
 
 function formatAsMySQLTable(rows) {
     if (!rows || rows.length === 0) return "Empty Set";
     const columns = Object.keys(rows[0]);
     const widths = {};
-    columns.forEach(col => widths[col] = Math.max(col.length, ...rows.map(r => String(r[col] ?? "").length)));
+    columns.forEach(col => widths[col] = Math.max(col.length, ...rows.map(r => String(r[col] ?? "NULL").length)));
     const line = () => "+" + columns.map(c => "-".repeat(widths[c] + 2)).join("+") + "+";
-    const rowStr = (vals) => "| " + vals.map((v, i) => String(v ?? "").padEnd(widths[columns[i]])).join(" | ") + " |";
+    const rowStr = (vals) => "| " + vals.map((v, i) => String(v ?? "NULL").padEnd(widths[columns[i]])).join(" | ") + " |";
     let output = line() + "\n" + rowStr(columns) + "\n" + line() + "\n";
     rows.forEach(r => output += rowStr(columns.map(c => r[c])) + "\n");
     return output + line();